@@ -1,83 +1,354 @@
 #!/usr/bin/env zx
 
 import 'zx/globals';
-import { loadConfig, validateConfig, resolveFilePaths } from './lib/config.mjs';
+import { loadConfig, validateConfig, resolveFilePaths, RUNS_DIR, WORKSPACE_DIR, BUNDLES_DIR, LATEST_RUN } from './lib/config.mjs';
 import { printHeader, printUsage, parseArguments } from './lib/utils.mjs';
 import { generateTasks } from './lib/taskgen.mjs';
-import { executeTasks } from './lib/executor.mjs';
+import { executeTasks, requestShutdown, isShutdownRequested } from './lib/executor.mjs';
+import { validateBundle, printValidationReport } from './lib/validate.mjs';
+import { initBundle } from './lib/scaffold.mjs';
+import { planTasks, printPlan, PlanAction } from './lib/plan.mjs';
+import { cleanWorkspace, printCleanSummary } from './lib/clean.mjs';
+import { collectBundleStatus, printStatusTable } from './lib/status.mjs';
+import { listRuns, resolveRun, collectRunHistory, printRunHistory, diffRuns, printRunDiff } from './lib/runs.mjs';
+import { formatUsage } from './lib/usage.mjs';
 
 // Disable default command output
 $.verbose = false;
 
 /**
- * Main function
+ * Install SIGINT/SIGTERM handlers for the execution phase
+ * The first signal stops scheduling and terminates running agents gracefully so
+ * the summary, logs and run state are still written; a second signal exits immediately.
  */
-async function main() {
-  try {
-    // Parse command line arguments
-    const cliOptions = parseArguments(argv);
+function installShutdownHandlers() {
+  const handleSignal = (signal) => {
+    if (isShutdownRequested()) {
+      console.error(`\n🛑 Received ${signal} again, exiting immediately`);
+      process.exit(130);
+    }
 
-    // Show help if requested
-    if (cliOptions.help) {
-      printUsage();
-      process.exit(0);
+    console.error(`\n🛑 Received ${signal}, stopping: no new tasks will start and running agents are being terminated...`);
+    console.error('   Press Ctrl-C again to exit immediately');
+    requestShutdown();
+  };
+
+  process.on('SIGINT', handleSignal);
+  process.on('SIGTERM', handleSignal);
+}
+
+/**
+ * Validate a bundle and print the findings
+ * @param {Object} cliOptions - Parsed command line options
+ */
+async function validateCommand(cliOptions) {
+  console.log(`🔍 Validating bundle: ${cliOptions.bundle}`);
+  const report = await validateBundle(cliOptions.bundle, cliOptions);
+  printValidationReport(report);
+
+  if (report.errors.length > 0) {
+    console.log('');
+    console.log(`❌ ${report.errors.length} error(s), ${report.warnings.length} warning(s)`);
+    process.exit(1);
+  }
+
+  console.log(`✅ Bundle is valid${report.warnings.length ? ` (${report.warnings.length} warning(s))` : ''}`);
+  process.exit(0);
+}
+
+/**
+ * Scaffold a new bundle directory
+ * @param {Object} cliOptions - Parsed command line options
+ */
+async function initCommand(cliOptions) {
+  const bundlePath = cliOptions.args[0] || cliOptions.bundle;
+  const createdFiles = await initBundle(bundlePath);
+
+  console.log(`📦 Created bundle ${bundlePath}:`);
+  for (const file of createdFiles) {
+    console.log(`   ✅ ${file}`);
+  }
+  console.log('');
+  console.log(`💡 Edit the files, then check them with: zx gen-and-run-tasks.mjs validate --bundle ${bundlePath}`);
+}
+
+/**
+ * Remove task worktrees and feature branches and report workspace disk usage
+ * @param {Object} cliOptions - Parsed command line options
+ */
+async function cleanCommand(cliOptions) {
+  const dryRun = Boolean(cliOptions.dryRun);
+  printHeader(`🧹 WORKSPACE CLEANUP${dryRun ? ' (dry run)' : ''}`);
+
+  const summary = await cleanWorkspace({
+    runsDir: RUNS_DIR,
+    workspaceDir: WORKSPACE_DIR,
+    bundlesDir: cliOptions.bundlesDir || BUNDLES_DIR,
+    bundle: cliOptions.bundle,
+    mergedOnly: Boolean(cliOptions.mergedOnly),
+    removeUnreferenced: Boolean(cliOptions.removeUnreferenced),
+    force: Boolean(cliOptions.force),
+    dryRun,
+  });
+
+  console.log('');
+  printHeader('📦 CLEANUP SUMMARY');
+  printCleanSummary(summary, dryRun);
+  console.log('═══════════════════════════════════════════════════════════════════════════════════');
+}
+
+/**
+ * Show the pull request, review and CI state of a bundle's tasks
+ * @param {Object} cliOptions - Parsed command line options
+ */
+async function statusCommand(cliOptions) {
+  const config = await loadConfig(cliOptions, cliOptions.bundle);
+  const paths = await resolveFilePaths(cliOptions.bundle, config.guideFile);
+
+  if (!cliOptions.json) {
+    console.log(`🔎 Looking up pull requests of ${paths.bundleName} tasks in ${paths.outputDir}/...`);
+  }
+  let entries = await collectBundleStatus({ outputDir: paths.outputDir, bundleName: paths.bundleName, maxJobs: config.maxJobs });
+  if (cliOptions.needsAttention) {
+    entries = entries.filter(entry => entry.needsAttention);
+  }
+
+  if (cliOptions.json) {
+    console.log(JSON.stringify(entries, null, 2));
+    return;
+  }
+
+  printHeader(`🔀 PULL REQUEST STATUS: ${paths.bundleName}${cliOptions.needsAttention ? ' (needs attention)' : ''}`);
+  if (entries.length === 0) {
+    console.log(cliOptions.needsAttention ? '✅ Nothing needs attention' : `ℹ️  No tasks of ${paths.bundleName} found in ${paths.outputDir}/`);
+    return;
+  }
+  printStatusTable(entries);
+}
+
+/**
+ * List the past runs of a bundle with their pass/fail counts
+ * @param {Object} cliOptions - Parsed command line options
+ */
+async function historyCommand(cliOptions) {
+  const config = await loadConfig(cliOptions, cliOptions.bundle);
+  const paths = await resolveFilePaths(cliOptions.bundle, config.guideFile);
+  const history = await collectRunHistory(paths.runsDir);
+
+  if (cliOptions.json) {
+    console.log(JSON.stringify(history, null, 2));
+    return;
+  }
+
+  printHeader(`🗂️  RUN HISTORY: ${paths.bundleName}`);
+  if (history.length === 0) {
+    console.log(`ℹ️  No runs of ${paths.bundleName} found in ${paths.runsDir}/`);
+    return;
+  }
+  printRunHistory(history);
+  console.log('');
+  console.log(`📁 ${history.length} run(s) in ${paths.runsDir}/`);
+}
+
+/**
+ * Show the tasks whose outcome changed between two runs of a bundle
+ * Without run names, the latest run is compared with the one before it.
+ * @param {Object} cliOptions - Parsed command line options
+ */
+async function diffRunsCommand(cliOptions) {
+  const config = await loadConfig(cliOptions, cliOptions.bundle);
+  const paths = await resolveFilePaths(cliOptions.bundle, config.guideFile);
+
+  let [fromName, toName] = cliOptions.args;
+  if (!fromName) {
+    const runs = await listRuns(paths.runsDir);
+    if (runs.length < 2) {
+      throw new Error(`diff-runs needs two runs of ${paths.bundleName}, found ${runs.length} in ${paths.runsDir}/`);
     }
+    [fromName, toName] = runs.slice(-2).map(run => run.name);
+  }
+  const fromPath = await resolveRun(paths.runsDir, fromName);
+  const toPath = await resolveRun(paths.runsDir, toName || LATEST_RUN);
+  const changes = await diffRuns(fromPath, toPath);
 
-    // Load configuration
-    const config = await loadConfig(cliOptions, cliOptions.bundle);
+  if (cliOptions.json) {
+    console.log(JSON.stringify(changes, null, 2));
+    return;
+  }
 
-    // Validate configuration
-    validateConfig(config);
+  printHeader(`🔀 RUN DIFF: ${path.basename(fromPath)} → ${path.basename(toPath)}`);
+  if (changes.length === 0) {
+    console.log('✅ No task changed outcome');
+    return;
+  }
+  printRunDiff(changes);
+  console.log('');
+  console.log(`📊 ${changes.length} task(s) changed`);
+}
 
-    // Resolve file paths
-    const paths = await resolveFilePaths(cliOptions.bundle, config.guideFile);
+/**
+ * Generate and/or run the tasks of a bundle
+ * @param {Object} cliOptions - Parsed command line options
+ */
+async function runCommand(cliOptions) {
+  // Check the bundle against its schema before doing anything
+  if (cliOptions.bundle) {
+    const report = await validateBundle(cliOptions.bundle, cliOptions);
+    printValidationReport(report);
+    if (report.errors.length > 0) {
+      throw new Error(`Bundle ${cliOptions.bundle} is invalid (${report.errors.length} error(s)), see above`);
+    }
+  }
 
-    // Display configuration info
-    console.log(`📦 Using bundle: ${cliOptions.bundle}`);
-    if (paths.bundleGuide) {
-      console.log(`📋 Using bundle-specific guide: ${paths.guideFile}`);
+  // Load configuration
+  const config = await loadConfig(cliOptions, cliOptions.bundle);
+
+  // Validate configuration
+  validateConfig(config);
+
+  // Resolve file paths
+  const paths = await resolveFilePaths(cliOptions.bundle, config.guideFile);
+
+  // Display configuration info
+  console.log(`📦 Using bundle: ${cliOptions.bundle}`);
+  if (paths.bundleGuide) {
+    console.log(`📋 Using bundle-specific guide: ${paths.guideFile}`);
+  }
+
+  // PLAN SECTION
+  // Preflight only: nothing is cloned, forked or written
+  if (config.plan) {
+    printHeader('🗺️  GENERATION PLAN');
+
+    const entries = await planTasks(paths, config);
+    console.log('');
+    printPlan(entries);
+
+    const failing = entries.filter(entry => entry.action === PlanAction.FAIL).length;
+    console.log('');
+    if (failing > 0) {
+      console.log(`❌ ${failing} target(s) would fail. Fix target.yml or the upstream repositories before generating.`);
+      process.exit(1);
     }
+    console.log('✅ Plan is clean. Run without --plan to generate and run the tasks.');
+    process.exit(0);
+  }
+
+  // GENERATION SECTION
+  // Retrying and resuming work on the existing tasks, so they never regenerate
+  if (!config.runOnly && !config.retryFailed && !config.resume) {
+    printHeader('📝 TASK GENERATION');
+
+    const { generatedCount, outputDir } = await generateTasks(paths, config);
+    paths.outputDir = outputDir;
+
+    console.log('');
+    console.log(`🎉 Successfully generated ${generatedCount} tasks in ${paths.outputDir} directory`);
+    console.log('═══════════════════════════════════════════════════════════════════════════════════');
+    console.log('');
+  }
 
-    // GENERATION SECTION
-    if (!config.runOnly) {
-      printHeader('📝 TASK GENERATION');
+  // EXECUTION SECTION
+  if (!config.generateOnly) {
+    printHeader('⚡ TASK EXECUTION');
 
-      const generatedCount = await generateTasks(paths);
+    installShutdownHandlers();
+    const executionResult = await executeTasks(paths.outputDir, config);
 
+    // Print summary
+    console.log('');
+    printHeader('📦 EXECUTION SUMMARY');
+    console.log(`🕰️  Started at:    ${executionResult.startTimestamp}`);
+    console.log(`🏁 Finished at:   ${executionResult.endTimestamp}`);
+    console.log(`⏱️  Total duration: ${executionResult.duration}`);
+    console.log(`🚀 PR opened:     ${executionResult.outcomes.pr_opened || 0}`);
+    console.log(`⬆️  Pushed:        ${executionResult.outcomes.pushed || 0}`);
+    console.log(`📝 Changed:       ${executionResult.outcomes.changed || 0}`);
+    console.log(`🧹 Dirty:         ${executionResult.outcomes.dirty || 0}`);
+    console.log(`➖ No changes:    ${executionResult.outcomes.no_changes || 0}`);
+    console.log(`❌ Failed:        ${executionResult.failed}`);
+    if (executionResult.backport) {
+      console.log(`🍒 Cherry-picked: ${executionResult.backport.cherryPicked} (${executionResult.backport.agent} needed the agent)`);
+    }
+    if (executionResult.timedOut > 0) {
+      console.log(`⏰ Timed out:     ${executionResult.timedOut}`);
+    }
+    if (executionResult.interrupted > 0 || executionResult.notStarted > 0) {
+      console.log(`🛑 Interrupted:   ${executionResult.interrupted}`);
+      console.log(`⏭️  Not started:   ${executionResult.notStarted}`);
+    }
+    if (executionResult.skippedBudget > 0) {
+      console.log(`💸 Over budget:   ${executionResult.skippedBudget}`);
+    }
+    console.log(`📁 Total tasks:   ${executionResult.totalTasks}`);
+    console.log(`💰 Usage:         ${formatUsage(executionResult.usage)}`);
+    if (executionResult.report) {
+      console.log(`📄 Report:        ${executionResult.report.html} (Markdown: ${executionResult.report.markdown})`);
+    }
+    console.log('═══════════════════════════════════════════════════════════════════════════════════');
+
+    if (executionResult.stopped) {
       console.log('');
-      console.log(`🎉 Successfully generated ${generatedCount} tasks in ${paths.outputDir} directory`);
-      console.log('═══════════════════════════════════════════════════════════════════════════════════');
+      console.log(`🛑 Execution was stopped. Logs and run state are in ${executionResult.outputDir}/.`);
+      console.log('⏯️  Continue with --resume to run the interrupted and remaining tasks.');
+      process.exit(130);
+    } else if (executionResult.skippedBudget > 0) {
       console.log('');
+      console.log(`💸 The budget ran out: ${executionResult.skippedBudget} task(s) were not started.`);
+      console.log('⏯️  Raise maxCostPerRun or maxCostPerTask and continue with --resume to run them.');
+      process.exit(1);
+    } else if (executionResult.failed > 0 || executionResult.timedOut > 0) {
+      console.log('');
+      console.log(`⚠️  Some tasks failed. Check execution.log files in ${executionResult.outputDir}/ for details.`);
+      console.log('❌ Execution completed with failures.');
+      process.exit(1);
+    } else {
+      console.log('');
+      console.log('🎉 All tasks completed successfully!');
+      console.log('✅ Execution completed successfully.');
+      process.exit(0);
     }
+  }
+}
 
-    // EXECUTION SECTION
-    if (!config.generateOnly) {
-      printHeader('⚡ TASK EXECUTION');
+/**
+ * Main function
+ */
+async function main() {
+  try {
+    // Parse command line arguments
+    const cliOptions = parseArguments(argv);
 
-      const executionResult = await executeTasks(paths.outputDir, config);
+    // Show help if requested
+    if (cliOptions.help) {
+      printUsage();
+      process.exit(0);
+    }
 
-      // Print summary
-      console.log('');
-      printHeader('📦 EXECUTION SUMMARY');
-      console.log(`🕰️  Started at:    ${executionResult.startTimestamp}`);
-      console.log(`🏁 Finished at:   ${executionResult.endTimestamp}`);
-      console.log(`⏱️  Total duration: ${executionResult.duration}`);
-      console.log(`✅ Successful:    ${executionResult.successful}`);
-      console.log(`❌ Failed:        ${executionResult.failed}`);
-      console.log(`📁 Total tasks:   ${executionResult.totalTasks}`);
-      console.log('═══════════════════════════════════════════════════════════════════════════════════');
-
-      if (executionResult.failed > 0) {
-        console.log('');
-        console.log(`⚠️  Some tasks failed. Check execution.log files in ${executionResult.outputDir}/ for details.`);
-        console.log('❌ Execution completed with failures.');
-        process.exit(1);
-      } else {
-        console.log('');
-        console.log('🎉 All tasks completed successfully!');
-        console.log('✅ Execution completed successfully.');
-        process.exit(0);
-      }
+    switch (cliOptions.command) {
+      case undefined:
+        await runCommand(cliOptions);
+        break;
+      case 'validate':
+        await validateCommand(cliOptions);
+        break;
+      case 'init':
+        await initCommand(cliOptions);
+        break;
+      case 'clean':
+        await cleanCommand(cliOptions);
+        break;
+      case 'status':
+        await statusCommand(cliOptions);
+        break;
+      case 'history':
+        await historyCommand(cliOptions);
+        break;
+      case 'diff-runs':
+        await diffRunsCommand(cliOptions);
+        break;
+      default:
+        throw new Error(`Unknown command '${cliOptions.command}'. Run with --help to see the available commands.`);
     }
   } catch (error) {
     console.error('');
@@ -0,0 +1,176 @@
+#!/usr/bin/env zx
+
+import { path } from 'zx';
+import { fileURLToPath } from 'url';
+
+/**
+ * Agent profile used when neither config.json nor --agent picks one
+ */
+export const DEFAULT_AGENT = 'claude';
+
+/**
+ * How the task prompt reaches the agent
+ * stdin: task.md is piped to the agent's standard input
+ * file: the task.md path replaces `{promptFile}` in args, or is appended as the last argument
+ */
+export const PROMPT_MODES = ['stdin', 'file'];
+
+/**
+ * Keys accepted in an agent profile and their types
+ */
+export const AGENT_PROFILE_SCHEMA = {
+  command: { type: 'string', description: 'Executable to run' },
+  args: { type: 'array', description: 'Arguments passed before the prompt' },
+  model: { type: 'string', description: 'Model name, passed as --model' },
+  fallbackModel: { type: 'string', description: 'Fallback model name, passed as --fallback-model' },
+  env: { type: 'object', description: 'Extra environment variables for the agent' },
+  promptMode: { type: 'string', description: 'How the prompt is passed: stdin or file' },
+  budgetArg: { type: 'string', description: 'Option that caps the spend of one session in US dollars, e.g. --max-budget-usd' },
+};
+
+/**
+ * Profiles that are always available; config.json "agents" may override them
+ */
+export const BUILTIN_AGENTS = {
+  claude: {
+    command: 'claude',
+    args: ['-p', 'Execute this task', '--verbose', '--output-format', 'stream-json', '--dangerously-skip-permissions'],
+    env: {},
+    promptMode: 'stdin',
+    budgetArg: '--max-budget-usd',
+  },
+  mock: {
+    command: process.execPath,
+    args: [fileURLToPath(new URL('./mock-agent.mjs', import.meta.url))],
+    env: {},
+    promptMode: 'file',
+    budgetArg: '--max-budget-usd',
+  },
+};
+
+/**
+ * Resolve the agent profile a run uses
+ * `config.agent` is a profile name (from `config.agents` or the built-ins) or
+ * an inline profile object. A profile that sets `command` stands on its own;
+ * one that does not extends the built-in profile of the same name, or claude,
+ * so `{"model": "opus"}` is enough to switch models.
+ * @param {Object} config - Configuration object
+ * @returns {Object} Profile {name, command, args, model, fallbackModel, env, promptMode, budgetArg}
+ * @throws {Error} If the profile name is unknown or the profile is invalid
+ */
+export function resolveAgent(config) {
+  const selected = config.agent ?? DEFAULT_AGENT;
+  const profiles = config.agents || {};
+
+  let name;
+  let profile;
+  if (typeof selected === 'string') {
+    name = selected;
+    profile = profiles[name];
+    if (!profile && !BUILTIN_AGENTS[name]) {
+      const available = [...new Set([...Object.keys(BUILTIN_AGENTS), ...Object.keys(profiles)])].join(', ');
+      throw new Error(`Unknown agent '${name}' (available: ${available})`);
+    }
+    profile = profile || {};
+  } else {
+    name = 'inline';
+    profile = selected;
+  }
+
+  validateAgentProfile(profile, `agent '${name}'`);
+
+  const base = profile.command ? { args: [], env: {}, promptMode: 'stdin' } : (BUILTIN_AGENTS[name] || BUILTIN_AGENTS[DEFAULT_AGENT]);
+
+  return {
+    name,
+    ...base,
+    ...profile,
+    env: { ...base.env, ...profile.env },
+  };
+}
+
+/**
+ * Validate an agent profile object
+ * @param {Object} profile - Agent profile
+ * @param {string} source - Where the profile came from, for error messages
+ * @throws {Error} If the profile is malformed
+ */
+export function validateAgentProfile(profile, source) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    throw new Error(`${source}: profile must be an object`);
+  }
+
+  for (const key of Object.keys(profile)) {
+    if (!AGENT_PROFILE_SCHEMA[key]) {
+      throw new Error(`${source}: unknown key '${key}' (expected: ${Object.keys(AGENT_PROFILE_SCHEMA).join(', ')})`);
+    }
+  }
+
+  for (const key of ['command', 'model', 'fallbackModel', 'budgetArg']) {
+    if (profile[key] !== undefined && (typeof profile[key] !== 'string' || profile[key] === '')) {
+      throw new Error(`${source}: '${key}' must be a non-empty string`);
+    }
+  }
+
+  if (profile.args !== undefined && (!Array.isArray(profile.args) || profile.args.some(arg => typeof arg !== 'string'))) {
+    throw new Error(`${source}: 'args' must be a list of strings`);
+  }
+
+  if (profile.env !== undefined) {
+    if (!profile.env || typeof profile.env !== 'object' || Array.isArray(profile.env)) {
+      throw new Error(`${source}: 'env' must be an object`);
+    }
+    for (const [key, value] of Object.entries(profile.env)) {
+      if (typeof value !== 'string') {
+        throw new Error(`${source}: env '${key}' must be a string`);
+      }
+    }
+  }
+
+  if (profile.promptMode !== undefined && !PROMPT_MODES.includes(profile.promptMode)) {
+    throw new Error(`${source}: 'promptMode' must be one of ${PROMPT_MODES.join(', ')} (got: ${profile.promptMode})`);
+  }
+}
+
+/**
+ * Build the command line for running an agent on a task
+ * @param {Object} agent - Resolved agent profile from resolveAgent()
+ * @param {string} taskFile - Path to the task.md prompt
+ * @param {Object} [options] - Invocation options
+ * @param {number|null} [options.maxBudgetUsd] - Spend cap of the session, passed with the profile's budgetArg (null for none)
+ * @returns {Object} Invocation {command, args, env, stdinFile}
+ */
+export function buildAgentInvocation(agent, taskFile, { maxBudgetUsd = null } = {}) {
+  const promptFile = path.resolve(taskFile);
+  let args = [...agent.args];
+
+  if (agent.model) {
+    args.push('--model', agent.model);
+  }
+  if (agent.fallbackModel) {
+    args.push('--fallback-model', agent.fallbackModel);
+  }
+  if (agent.budgetArg && maxBudgetUsd !== null) {
+    args.push(agent.budgetArg, maxBudgetUsd.toFixed(2));
+  }
+
+  if (agent.promptMode === 'file') {
+    if (args.some(arg => arg.includes('{promptFile}'))) {
+      args = args.map(arg => arg.replaceAll('{promptFile}', promptFile));
+    } else {
+      args.push(promptFile);
+    }
+  }
+
+  return {
+    command: agent.command,
+    args,
+    env: {
+      ...agent.env,
+      AGENT_TASK_FILE: promptFile,
+      AGENT_TASK_DIR: path.dirname(promptFile),
+      AGENT_LAUNCH_DIR: process.cwd(),
+    },
+    stdinFile: agent.promptMode === 'stdin' ? promptFile : '/dev/null',
+  };
+}
@@ -0,0 +1,187 @@
+#!/usr/bin/env zx
+
+import { $, fs } from 'zx';
+
+/**
+ * How a task was handled in backport mode
+ * primary: the agent solved the task on the repo's primary branch
+ * cherry-picked: the primary's commits applied and verified cleanly, no agent
+ * conflict / verify-failed: the cherry-pick conflicted or failed verification, so the agent ran
+ * no-source: the primary failed or made no commits, so the agent ran from scratch
+ */
+export const BackportMode = {
+  PRIMARY: 'primary',
+  CHERRY_PICKED: 'cherry-picked',
+  CONFLICT: 'conflict',
+  VERIFY_FAILED: 'verify-failed',
+  NO_SOURCE: 'no-source',
+};
+
+/**
+ * Marks where the orchestrator's Backport section starts in task.md
+ * Bundles may have a "## Backport" heading of their own, so the note is found
+ * by this marker rather than by its heading.
+ */
+const BACKPORT_NOTE_MARKER = '<!-- multi-repo-agent: backport note -->';
+
+/**
+ * Keys accepted in the config.json "backport" section
+ */
+export const BACKPORT_CONFIG_SCHEMA = {
+  primary: { type: 'string', description: 'Branch the agent solves first in every repo' },
+  verify: { type: 'array', description: 'Shell commands that must pass after a cherry-pick' },
+};
+
+/**
+ * Validate the config.json "backport" section
+ * @param {Object} backport - Backport settings
+ * @param {string} source - Where the settings came from, for error messages
+ * @throws {Error} If the settings are malformed
+ */
+export function validateBackportConfig(backport, source) {
+  if (!backport || typeof backport !== 'object' || Array.isArray(backport)) {
+    throw new Error(`${source}: must be an object`);
+  }
+
+  for (const key of Object.keys(backport)) {
+    if (!BACKPORT_CONFIG_SCHEMA[key]) {
+      throw new Error(`${source}: unknown key '${key}' (expected: ${Object.keys(BACKPORT_CONFIG_SCHEMA).join(', ')})`);
+    }
+  }
+
+  if (backport.primary !== undefined && (typeof backport.primary !== 'string' || backport.primary === '')) {
+    throw new Error(`${source}: 'primary' must be a non-empty string`);
+  }
+
+  if (backport.verify !== undefined && (!Array.isArray(backport.verify) || backport.verify.some(command => typeof command !== 'string'))) {
+    throw new Error(`${source}: 'verify' must be a list of shell commands`);
+  }
+}
+
+/**
+ * Group tasks by repository and pick each repository's primary task
+ * The primary is the task on the configured primary branch, or else the
+ * repository's first task. Pass every task of the run, not only the ones
+ * being retried, so the primary does not change between invocations.
+ * @param {Array} tasks - Tasks [{taskFile, org, repo, branch, provider, ...}] in run order
+ * @param {string} [primaryBranch] - Configured primary branch
+ * @returns {Array} Groups [{repo: "org/repo", primary, secondaries}]
+ */
+export function groupBackportTasks(tasks, primaryBranch = null) {
+  const groups = new Map();
+
+  for (const task of tasks) {
+    const key = `${task.provider?.host || ''}|${task.org}/${task.repo}`;
+    if (!groups.has(key)) {
+      groups.set(key, { repo: `${task.org}/${task.repo}`, tasks: [] });
+    }
+    groups.get(key).tasks.push(task);
+  }
+
+  return [...groups.values()].map(({ repo, tasks: repoTasks }) => {
+    const primary = repoTasks.find(task => task.branch === primaryBranch) || repoTasks[0];
+    return { repo, primary, secondaries: repoTasks.filter(task => task !== primary) };
+  });
+}
+
+/**
+ * List the commits the primary task added, oldest first
+ * The commits recorded by the inspection are used, so a primary branch that
+ * moved since (e.g. a later run reset it) does not change what is ported.
+ * @param {string} repoCodePath - Primary worktree path, or any worktree of the clone
+ * @param {Object} inspection - Primary inspection from inspectWorktree() {baseRef, headRef, baseSha, headSha}
+ * @returns {Array} Commits [{sha, subject}]
+ */
+export async function listSourceCommits(repoCodePath, { baseRef, headRef, baseSha = null, headSha = null }) {
+  const result = await $`git -C ${repoCodePath} log --reverse ${'--format=%H %s'} ${`${baseSha || baseRef}..${headSha || headRef}`}`.nothrow();
+  if (result.exitCode !== 0) {
+    return [];
+  }
+
+  return result.stdout.trim().split('\n').filter(Boolean).map((line) => {
+    const [sha, ...subject] = line.split(' ');
+    return { sha, subject: subject.join(' ') };
+  });
+}
+
+/**
+ * Drop the commits whose change a worktree already has
+ * A secondary task that is retried may already carry the cherry-picked
+ * commits of an earlier attempt; `git cherry` finds them by patch id.
+ * @param {string} repoCodePath - Worktree path
+ * @param {Array} commits - Commits from listSourceCommits(), oldest first
+ * @returns {Array} Commits still to cherry-pick
+ */
+export async function filterAppliedCommits(repoCodePath, commits) {
+  const result = await $`git -C ${repoCodePath} cherry HEAD ${commits[commits.length - 1].sha} ${`${commits[0].sha}^`}`.nothrow();
+  if (result.exitCode !== 0) {
+    return commits;
+  }
+
+  const applied = new Set(result.stdout.split('\n').filter(line => line.startsWith('- ')).map(line => line.substring(2).trim()));
+  return commits.filter(commit => !applied.has(commit.sha));
+}
+
+/**
+ * Cherry-pick commits into a worktree
+ * Worktrees share the workspace clone's object store, so the primary's commits
+ * are available without fetching. A conflicting cherry-pick is aborted,
+ * leaving the worktree as it was.
+ * @param {string} repoCodePath - Worktree path
+ * @param {Array} commits - Commits from listSourceCommits()
+ * @returns {Object} Cherry-pick {clean, conflictFiles, error}
+ */
+export async function cherryPickCommits(repoCodePath, commits) {
+  const result = await $`git -C ${repoCodePath} cherry-pick -x ${commits.map(commit => commit.sha)}`.nothrow();
+  if (result.exitCode === 0) {
+    return { clean: true, conflictFiles: [], error: null };
+  }
+
+  const conflicts = await $`git -C ${repoCodePath} diff --name-only --diff-filter=U`.nothrow();
+  await $`git -C ${repoCodePath} cherry-pick --abort`.nothrow();
+
+  return {
+    clean: false,
+    conflictFiles: conflicts.stdout.trim().split('\n').filter(Boolean),
+    error: (result.stderr || result.stdout).trim().split('\n')[0],
+  };
+}
+
+/**
+ * Tell the agent what happened to the backport before it runs on a task
+ * Appends a "Backport" section to task.md (replacing an earlier one, found by
+ * BACKPORT_NOTE_MARKER) naming the primary's commits and why the cherry-pick
+ * needs help.
+ * @param {string} taskFile - Path to task.md
+ * @param {Object} note - Note details
+ * @param {string} note.primaryBranch - Branch the change was made on
+ * @param {Array} note.commits - Commits from listSourceCommits()
+ * @param {string} note.mode - BackportMode.CONFLICT or BackportMode.VERIFY_FAILED
+ * @param {Object} [note.cherryPick] - Result of cherryPickCommits() for conflicts
+ * @param {Object} [note.verification] - Result of runVerification() for failed verification
+ */
+export async function appendBackportNote(taskFile, { primaryBranch, commits, mode, cherryPick = null, verification = null }) {
+  const commitList = commits.map(commit => `- ${commit.sha.substring(0, 12)} ${commit.subject}`).join('\n');
+  let body;
+
+  if (mode === BackportMode.CONFLICT) {
+    const files = cherryPick?.conflictFiles.length ? ` in ${cherryPick.conflictFiles.map(file => `\`${file}\``).join(', ')}` : '';
+    body = `This task was already solved on \`${primaryBranch}\` by the commits below. Cherry-picking them here conflicted${files} and was aborted, so the worktree is unchanged. Port the same change to this branch (\`git show <sha>\` shows each commit), resolving the conflicts for this branch's code.`;
+  } else {
+    body = `This task was already solved on \`${primaryBranch}\` by the commits below. They were cherry-picked onto this branch, but the verification command \`${verification.command}\` then failed (exit ${verification.exitCode}). Keep the cherry-picked commits and fix the failure with additional commits.
+
+\`\`\`
+${(verification.output || '(no output)').replace(/```/g, "'''")}
+\`\`\``;
+  }
+
+  // A rerun replaces the note of the previous run
+  const content = (await fs.readFile(taskFile, 'utf-8')).split(`\n${BACKPORT_NOTE_MARKER}\n`)[0];
+  await fs.writeFile(taskFile, `${content}
+${BACKPORT_NOTE_MARKER}
+## Backport
+${body}
+
+${commitList}
+`, 'utf-8');
+}
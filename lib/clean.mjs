@@ -0,0 +1,421 @@
+#!/usr/bin/env zx
+
+import { $, fs, path, chalk } from 'zx';
+import YAML from 'yaml';
+import { listRemoteBranches } from './repository.mjs';
+import { loadDiscoveryCache } from './discovery.mjs';
+import { extractTaskInfo } from './executor.mjs';
+import { readTaskResult } from './result.mjs';
+import { readPullRequest } from './publish.mjs';
+import { listRuns } from './runs.mjs';
+import { formatSize } from './utils.mjs';
+import { LATEST_RUN } from './config.mjs';
+
+/**
+ * List the worktrees of a repository
+ * @param {string} repoDir - Repository directory
+ * @returns {Array} Worktrees [{path, branch}] (branch null when detached), main worktree first
+ */
+async function listWorktrees(repoDir) {
+  const result = await $`git -C ${repoDir} worktree list --porcelain`;
+  const worktrees = [];
+
+  for (const line of result.stdout.split('\n')) {
+    if (line.startsWith('worktree ')) {
+      worktrees.push({ path: line.substring('worktree '.length), branch: null });
+    } else if (line.startsWith('branch ') && worktrees.length > 0) {
+      worktrees[worktrees.length - 1].branch = line.substring('branch refs/heads/'.length);
+    }
+  }
+
+  return worktrees;
+}
+
+/**
+ * Get the disk usage of a directory
+ * @param {string} dir - Directory
+ * @returns {number} Size in kilobytes, 0 if it cannot be measured
+ */
+async function diskUsage(dir) {
+  try {
+    const result = await $`du -sk ${dir}`;
+    return parseInt(result.stdout, 10) || 0;
+  } catch (error) {
+    return 0;
+  }
+}
+
+/**
+ * Collect the repositories referenced by the bundles in a directory
+ * Discovery items are resolved from the discovery cache of the bundle's
+ * latest run; if one has never been resolved, the set is incomplete.
+ * @param {string[]} targetFiles - target.yml files to read
+ * @param {string} runsDir - Runs directory holding each bundle's runs
+ * @returns {Object} {repos: Set of "org/repo" names, complete: false if a discovery item is unresolved}
+ */
+async function collectReferencedRepos(targetFiles, runsDir) {
+  const repos = new Set();
+  let complete = true;
+
+  for (const targetFile of targetFiles) {
+    const bundleName = path.basename(path.dirname(path.resolve(targetFile)));
+    const discoveryCache = await loadDiscoveryCache(path.join(runsDir, bundleName, LATEST_RUN));
+    const discoveredRepos = Object.entries(discoveryCache || {})
+      .flatMap(([key, names]) => names.map(name => `${JSON.parse(key).org}/${name}`));
+
+    let data;
+    try {
+      data = YAML.parse(await fs.readFile(targetFile, 'utf-8'));
+    } catch (error) {
+      console.warn(`⚠️  Warning: Could not read ${targetFile}: ${error.message}`);
+      complete = false;
+      continue;
+    }
+
+    for (const item of data?.target || []) {
+      if (item.discover) {
+        // The cache is keyed by spec, so any cached result for the org may belong to this item
+        const orgRepos = discoveredRepos.filter(name => name.startsWith(`${item.org}/`));
+        if (orgRepos.length === 0) {
+          console.warn(`⚠️  Warning: ${targetFile} discovers repos in ${item.org} that were never resolved`);
+          complete = false;
+        }
+        orgRepos.forEach(name => repos.add(name));
+      }
+      for (const entry of item.repos || []) {
+        repos.add(`${item.org}/${typeof entry === 'string' ? entry : entry?.name}`);
+      }
+    }
+  }
+
+  return { repos, complete };
+}
+
+/**
+ * List the repository clones in the workspace
+ * Clones live in workspace/<org>/<repo>; clones in the flat layout used
+ * before (workspace/<repo>) are listed too, until a generation moves them.
+ * @param {string} workspaceDir - Workspace directory
+ * @returns {Array} Clones [{name, org, repo, repoDir}]; name is "org/repo", or the repo for flat clones (org null)
+ */
+async function listWorkspaceClones(workspaceDir) {
+  const clones = [];
+
+  for (const entry of (await fs.readdir(workspaceDir)).sort()) {
+    const entryDir = path.join(workspaceDir, entry);
+    if (await fs.pathExists(path.join(entryDir, '.git'))) {
+      clones.push({ name: entry, org: null, repo: entry, repoDir: entryDir });
+      continue;
+    }
+    if (!(await fs.stat(entryDir)).isDirectory()) {
+      continue;
+    }
+
+    for (const repo of (await fs.readdir(entryDir)).sort()) {
+      const repoDir = path.join(entryDir, repo);
+      if (await fs.pathExists(path.join(repoDir, '.git'))) {
+        clones.push({ name: `${entry}/${repo}`, org: entry, repo, repoDir });
+      }
+    }
+  }
+
+  return clones;
+}
+
+/**
+ * Find the target.yml of every bundle in a directory
+ * @param {string} bundlesDir - Directory containing bundle directories
+ * @returns {string[]} target.yml paths
+ */
+async function findBundleTargetFiles(bundlesDir) {
+  if (!(await fs.pathExists(bundlesDir))) {
+    return [];
+  }
+
+  const targetFiles = [];
+  for (const entry of (await fs.readdir(bundlesDir)).sort()) {
+    const targetFile = path.join(bundlesDir, entry, 'target.yml');
+    if (await fs.pathExists(targetFile)) {
+      targetFiles.push(targetFile);
+    }
+  }
+  return targetFiles;
+}
+
+/**
+ * Collect the feature branches the orchestrator knows about, per repository
+ * These are the branches of pr.json and the feature branches recorded in
+ * result.json, across every run of every bundle in the runs directory.
+ * @param {string} runsDir - Runs directory holding each bundle's runs
+ * @param {string} [onlyBundle] - Only collect the runs of this bundle name
+ * @returns {Map} "org/repo" → Set of branch names
+ */
+async function collectKnownBranches(runsDir, onlyBundle = null) {
+  const known = new Map();
+  if (!(await fs.pathExists(runsDir))) {
+    return known;
+  }
+
+  for (const bundleName of await fs.readdir(runsDir)) {
+    if (onlyBundle && bundleName !== onlyBundle) {
+      continue;
+    }
+    for (const run of await listRuns(path.join(runsDir, bundleName))) {
+      for (const entry of await fs.readdir(run.path)) {
+        const taskDir = path.join(run.path, entry);
+        const taskFile = path.join(taskDir, 'task.md');
+        if (!(await fs.pathExists(taskFile))) {
+          continue;
+        }
+
+        const { org, repo } = await extractTaskInfo(taskFile);
+        const branches = [(await readPullRequest(taskDir))?.branch, (await readTaskResult(taskDir))?.featureBranch];
+        const key = `${org}/${repo}`;
+        for (const branch of branches.filter(Boolean)) {
+          if (!known.has(key)) {
+            known.set(key, new Set());
+          }
+          known.get(key).add(branch);
+        }
+      }
+    }
+  }
+
+  return known;
+}
+
+/**
+ * Check whether a worktree has uncommitted changes or untracked files
+ * @param {string} worktreePath - Worktree path
+ * @returns {boolean} True if `git status` reports anything
+ */
+async function isDirty(worktreePath) {
+  const result = await $`git -C ${worktreePath} status --porcelain`.nothrow().quiet();
+  return result.exitCode !== 0 || result.stdout.trim() !== '';
+}
+
+/**
+ * List the local branches with commits that are on no remote
+ * @param {string} repoDir - Repository directory
+ * @returns {string[]} Branch names
+ */
+async function listUnpushedBranches(repoDir) {
+  const localBranches = (await $`git -C ${repoDir} for-each-ref ${'--format=%(refname:short)'} refs/heads/`.nothrow()).stdout
+    .split('\n')
+    .map(branch => branch.trim())
+    .filter(Boolean);
+
+  const unpushed = [];
+  for (const branch of localBranches) {
+    const ahead = await $`git -C ${repoDir} rev-list --count ${`refs/heads/${branch}`} --not --remotes`.nothrow().quiet();
+    if (ahead.exitCode !== 0 || Number(ahead.stdout.trim()) > 0) {
+      unpushed.push(branch);
+    }
+  }
+  return unpushed;
+}
+
+/**
+ * Clean one workspace repository
+ * Removes the worktrees that live in the runs directory (dirty ones only with
+ * force), deletes the feature branches the orchestrator knows about (see
+ * collectKnownBranches()) and the mock agent's `mock-agent/*` branches unless
+ * they are checked out or named like an upstream branch, and runs `git gc`.
+ * Other local branches are never touched.
+ * @param {string} repoDir - Repository directory
+ * @param {Object} options - Clean options {runsDir, knownBranches, mergedOnly, force, dryRun}
+ * @returns {Object} Counts {worktrees, dirtyWorktrees, branches, keptBranches}
+ */
+async function cleanRepository(repoDir, { runsDir, knownBranches, mergedOnly, force, dryRun }) {
+  // git prints real paths, so compare against the real runs directory
+  const runsPath = (await fs.pathExists(runsDir)) ? await fs.realpath(runsDir) : path.resolve(runsDir);
+  const taskRoot = `${runsPath}${path.sep}`;
+  const counts = { worktrees: 0, dirtyWorktrees: 0, branches: 0, keptBranches: 0 };
+
+  // Remove task worktrees (including ones whose directory is already gone)
+  const worktrees = await listWorktrees(repoDir);
+  const kept = new Set();
+  for (const worktree of worktrees.slice(1)) {
+    const missing = !(await fs.pathExists(worktree.path));
+    if (!worktree.path.startsWith(taskRoot) && !missing) {
+      continue;
+    }
+
+    if (!missing && !force && (await isDirty(worktree.path))) {
+      console.log(`   ⏭️  Keeping worktree ${worktree.path} (uncommitted changes; --force removes it)`);
+      kept.add(worktree.path);
+      counts.dirtyWorktrees++;
+      continue;
+    }
+
+    console.log(`   🌲 ${dryRun ? 'Would remove' : 'Removing'} worktree ${worktree.path}${missing ? ' (missing)' : ''}`);
+    if (!dryRun && !missing) {
+      const removed = force
+        ? await $`git -C ${repoDir} worktree remove --force ${worktree.path}`.nothrow()
+        : await $`git -C ${repoDir} worktree remove ${worktree.path}`.nothrow();
+      if (removed.exitCode !== 0) {
+        console.warn(`   ⚠️  Could not remove worktree ${worktree.path}: ${removed.stderr.trim().split('\n')[0]}`);
+        continue;
+      }
+    }
+    counts.worktrees++;
+  }
+  if (!dryRun) {
+    await $`git -C ${repoDir} worktree prune`.nothrow();
+  }
+
+  // Delete known feature branches; base branches and checked-out branches stay
+  const remaining = dryRun
+    ? worktrees.filter(worktree => !worktree.path.startsWith(taskRoot) || kept.has(worktree.path))
+    : await listWorktrees(repoDir);
+  const checkedOut = new Set(remaining.map(worktree => worktree.branch).filter(Boolean));
+  const upstreamBranches = new Set(await listRemoteBranches(repoDir, 'upstream'));
+  const localBranches = (await $`git -C ${repoDir} for-each-ref ${'--format=%(refname:short)'} refs/heads/`).stdout
+    .split('\n')
+    .map(branch => branch.trim())
+    .filter(Boolean);
+
+  for (const branch of localBranches) {
+    const isKnown = knownBranches.has(branch) || branch.startsWith('mock-agent/');
+    if (!isKnown || checkedOut.has(branch) || upstreamBranches.has(branch)) {
+      continue;
+    }
+
+    if (mergedOnly) {
+      const containing = await $`git -C ${repoDir} branch -r --contains ${branch}`.nothrow();
+      const merged = containing.stdout.split('\n').some(ref => ref.trim().startsWith('upstream/'));
+      if (!merged) {
+        console.log(`   ⏭️  Keeping ${branch} (not merged upstream)`);
+        counts.keptBranches++;
+        continue;
+      }
+    }
+
+    console.log(`   🌿 ${dryRun ? 'Would delete' : 'Deleting'} branch ${branch}`);
+    if (!dryRun) {
+      await $`git -C ${repoDir} branch -D ${branch}`.nothrow();
+    }
+    counts.branches++;
+  }
+
+  if (!dryRun) {
+    console.log(`   🗜️  Running git gc...`);
+    await $`git -C ${repoDir} gc --quiet`.nothrow();
+  }
+
+  return counts;
+}
+
+/**
+ * Clean task worktrees, feature branches and workspace clones
+ * With a bundle, only the clones that bundle references are cleaned, and only
+ * of that bundle's worktrees and feature branches.
+ * @param {Object} options - Clean options
+ * @param {string} options.runsDir - Runs directory with every bundle's task worktrees
+ * @param {string} options.workspaceDir - Workspace directory with repository clones
+ * @param {string} options.bundlesDir - Directory whose bundles decide which repos are referenced
+ * @param {string} [options.bundle] - Only clean the repositories of this bundle directory
+ * @param {boolean} options.mergedOnly - Only delete branches already merged into an upstream branch
+ * @param {boolean} options.removeUnreferenced - Remove workspace repos no bundle references
+ * @param {boolean} options.force - Also remove task worktrees with uncommitted changes, and unreferenced clones with unpushed branches
+ * @param {boolean} options.dryRun - Report what would be done without changing anything
+ * @returns {Object} Summary {repos, worktrees, dirtyWorktrees, branches, keptBranches, removedRepos, keptRepos, sizeBefore, sizeAfter}
+ */
+export async function cleanWorkspace({ runsDir, workspaceDir, bundlesDir, bundle, mergedOnly = false, removeUnreferenced = false, force = false, dryRun = false }) {
+  const summary = { repos: [], worktrees: 0, dirtyWorktrees: 0, branches: 0, keptBranches: 0, removedRepos: [], keptRepos: [], sizeBefore: 0, sizeAfter: 0 };
+
+  if (bundle && removeUnreferenced) {
+    throw new Error('clean: --remove-unreferenced checks every bundle in --bundles-dir and cannot be combined with --bundle');
+  }
+
+  if (!(await fs.pathExists(workspaceDir))) {
+    console.log(`✅ No ${workspaceDir} directory, nothing to clean`);
+    return summary;
+  }
+
+  const bundleName = bundle ? path.basename(path.resolve(bundle)) : null;
+  const targetFiles = bundle ? [path.join(bundle, 'target.yml')] : await findBundleTargetFiles(bundlesDir);
+  // Without any bundle every clone would look unreferenced, e.g. when run from the wrong directory
+  if (removeUnreferenced && targetFiles.length === 0) {
+    throw new Error(`clean: No bundles found in ${bundlesDir}, so every clone would count as unreferenced; check --bundles-dir and the current directory`);
+  }
+  const referenced = await collectReferencedRepos(targetFiles, runsDir);
+  console.log(bundle
+    ? `📦 Bundle ${bundleName} references ${referenced.repos.size} repositories`
+    : `📦 ${targetFiles.length} bundle(s) reference ${referenced.repos.size} repositories`);
+  const knownBranches = await collectKnownBranches(runsDir, bundleName);
+  const taskRunsDir = bundle ? path.join(runsDir, bundleName) : runsDir;
+
+  for (const { name, org, repo, repoDir } of await listWorkspaceClones(workspaceDir)) {
+    // A flat clone does not know its org, so any org's repository of that name counts
+    const isReferenced = org ? referenced.repos.has(name) : [...referenced.repos].some(entry => entry.endsWith(`/${repo}`));
+    if (bundle && !isReferenced) {
+      continue;
+    }
+    const sizeBefore = await diskUsage(repoDir);
+    summary.sizeBefore += sizeBefore;
+
+    console.log('');
+    console.log(`🔧 ${name}${isReferenced ? '' : chalk.yellow(' (not referenced by any bundle)')}`);
+
+    // A flat clone does not know its org, so any org's branches of that repository count
+    const repoBranches = new Set([...knownBranches]
+      .filter(([key]) => (org ? key === name : key.endsWith(`/${repo}`)))
+      .flatMap(([, branches]) => [...branches]));
+    const counts = await cleanRepository(repoDir, { runsDir: taskRunsDir, knownBranches: repoBranches, mergedOnly, force, dryRun });
+    summary.worktrees += counts.worktrees;
+    summary.dirtyWorktrees += counts.dirtyWorktrees;
+    summary.branches += counts.branches;
+    summary.keptBranches += counts.keptBranches;
+
+    let removed = false;
+    if (removeUnreferenced && !isReferenced) {
+      const unpushed = force ? [] : await listUnpushedBranches(repoDir);
+      if (!referenced.complete) {
+        console.warn(`   ⚠️  Not removing: the set of referenced repositories is incomplete (see warnings above)`);
+      } else if (unpushed.length > 0) {
+        console.warn(`   ⚠️  Not removing: branches with unpushed commits: ${unpushed.join(', ')} (--force removes it)`);
+        summary.keptRepos.push(name);
+      } else {
+        console.log(`   🗑️  ${dryRun ? 'Would remove' : 'Removing'} ${repoDir}`);
+        if (!dryRun) {
+          await fs.remove(repoDir);
+          // Drop the org directory with its last clone
+          if (org && (await fs.readdir(path.dirname(repoDir))).length === 0) {
+            await fs.remove(path.dirname(repoDir));
+          }
+        }
+        summary.removedRepos.push(name);
+        removed = true;
+      }
+    }
+
+    const sizeAfter = removed ? 0 : (dryRun ? sizeBefore : await diskUsage(repoDir));
+    summary.sizeAfter += sizeAfter;
+    summary.repos.push({ repo: name, referenced: isReferenced, removed, sizeBefore, sizeAfter });
+  }
+
+  return summary;
+}
+
+/**
+ * Print the per-repository disk usage table and totals of a clean run
+ * @param {Object} summary - Summary from cleanWorkspace()
+ * @param {boolean} dryRun - Whether the run only reported
+ */
+export function printCleanSummary(summary, dryRun = false) {
+  const width = Math.max(10, ...summary.repos.map(entry => entry.repo.length));
+
+  console.log(chalk.bold(`${'Repository'.padEnd(width)}  ${'Before'.padStart(9)}  ${'After'.padStart(9)}  Status`));
+  for (const entry of summary.repos) {
+    const status = entry.removed ? 'removed' : entry.referenced ? 'referenced' : 'unreferenced';
+    console.log(`${entry.repo.padEnd(width)}  ${formatSize(entry.sizeBefore).padStart(9)}  ${formatSize(entry.sizeAfter).padStart(9)}  ${status}`);
+  }
+
+  const verb = dryRun ? 'would be ' : '';
+  console.log('');
+  console.log(`🌲 Worktrees ${verb}removed: ${summary.worktrees}${summary.dirtyWorktrees ? ` (${summary.dirtyWorktrees} with uncommitted changes kept)` : ''}`);
+  console.log(`🌿 Branches ${verb}deleted:  ${summary.branches}${summary.keptBranches ? ` (${summary.keptBranches} unmerged kept)` : ''}`);
+  console.log(`🗑️  Repos ${verb}removed:     ${summary.removedRepos.length}${summary.keptRepos.length ? ` (${summary.keptRepos.length} with unpushed branches kept)` : ''}`);
+  console.log(`💾 Workspace size:      ${formatSize(summary.sizeBefore)} → ${formatSize(summary.sizeAfter)}`);
+}
@@ -1,6 +1,29 @@
 #!/usr/bin/env zx
 
-import { fs, path } from 'zx';
+import { fs, path, os } from 'zx';
+import { validateVariables } from './template.mjs';
+import { resolveAgent, validateAgentProfile } from './agent.mjs';
+import { validatePullRequestConfig } from './publish.mjs';
+import { validateBackportConfig } from './backport.mjs';
+import { CLONE_STRATEGIES, FETCH_SCOPES } from './repository.mjs';
+import { validateHooksConfig } from './hooks.mjs';
+
+/**
+ * Directories the orchestrator works in, relative to where it runs
+ */
+export const RUNS_DIR = 'runs';
+export const WORKSPACE_DIR = 'workspace';
+export const BUNDLES_DIR = 'bundles';
+
+/**
+ * Default mirror cache for the "reference" clone strategy, shared by every workspace of the user
+ */
+export const MIRROR_DIR = path.join(os.homedir(), '.cache', 'claude-multi-repo-agent', 'mirrors');
+
+/**
+ * Name of the pointer to a bundle's most recent run, inside runs/<bundle>
+ */
+export const LATEST_RUN = 'latest';
 
 /**
  * Default configuration values
@@ -9,7 +32,63 @@ const DEFAULT_CONFIG = {
   maxJobs: 4,  // Default concurrency limit (4 parallel jobs)
   generateOnly: false,
   runOnly: false,
+  retryFailed: false,
+  resume: false,
+  plan: false,     // Preflight only: print what generation would do and exit
+  maxRetries: 0,   // Automatic retries for tasks whose agent session did not finish
+  retryDelay: 30,  // Base retry backoff in seconds, doubled on each retry
+  taskTimeout: 0,  // Seconds before a running task is killed (0 = no timeout)
+  shutdownGracePeriod: 10,  // Seconds agents get to exit after SIGTERM before SIGKILL
   guideFile: 'GUIDE.md',
+  vars: {},        // User-defined template variables for task.md and the guide
+  agent: 'claude', // Agent profile name (from "agents" or built-in: claude, mock) or inline profile
+  agents: {},      // Named agent profiles
+  pr: null,        // Orchestrator-managed feature branch and pull request (see lib/publish.mjs)
+  backport: null,  // Solve once per repo on a primary branch, cherry-pick to the rest (see lib/backport.mjs)
+  cloneStrategy: 'full',  // How new workspace clones are made: full, blobless or reference (see lib/repository.mjs)
+  fetchScope: 'all',      // Fetch every branch (all) or only the bundle's target branches (targets)
+  mirrorDir: MIRROR_DIR,  // Mirror cache for the reference clone strategy
+  hooks: null,     // Lifecycle hook commands, in addition to hooks/ scripts (see lib/hooks.mjs)
+  verify: [],      // Commands the orchestrator runs in the worktree after a passing agent run
+  verifyRounds: 2, // Follow-up agent runs with the failing output when verification fails
+  maxCostPerTask: 0,  // US dollars after which a task gets no further fix-it rounds or retries (0 = no limit)
+  maxCostPerRun: 0,   // US dollars after which no further agent runs start (0 = no limit)
+};
+
+/**
+ * Keys accepted in a bundle config.json and their types
+ * CLI-only switches (retryFailed, resume, plan) are deliberately not listed.
+ */
+export const CONFIG_SCHEMA = {
+  maxJobs: { type: 'integer', description: 'Concurrency limit' },
+  generateOnly: { type: 'boolean', description: 'Only generate task files' },
+  runOnly: { type: 'boolean', description: 'Only run existing task files' },
+  maxRetries: { type: 'integer', description: 'Automatic retries for transient agent failures' },
+  retryDelay: { type: 'number', description: 'Base retry backoff in seconds' },
+  taskTimeout: { type: 'number', description: 'Seconds before a running task (agent, verification, fix-it rounds) is killed' },
+  shutdownGracePeriod: { type: 'number', description: 'Seconds agents get to exit on shutdown' },
+  guideFile: { type: 'string', description: 'Guide file used when the bundle has no GUIDE.md' },
+  vars: { type: 'object', description: 'Template variables for task.md and the guide' },
+  agent: { type: ['string', 'object'], description: 'Agent profile name or inline profile' },
+  agents: { type: 'object', description: 'Named agent profiles' },
+  pr: { type: 'object', description: 'Orchestrator-managed branch and pull request templates' },
+  backport: { type: 'object', description: 'Backport mode: primary branch and verification commands' },
+  cloneStrategy: { type: 'string', description: 'How new workspace clones are made: full, blobless or reference' },
+  fetchScope: { type: 'string', description: 'Fetch all branches or only the target branches' },
+  mirrorDir: { type: 'string', description: 'Mirror cache directory for the reference clone strategy' },
+  hooks: { type: 'object', description: 'Commands run before generation, around each task and after the run' },
+  verify: { type: 'array', description: 'Verification commands run in the worktree after a passing agent run' },
+  verifyRounds: { type: 'integer', description: 'Fix-it rounds after a failed verification' },
+  maxCostPerTask: { type: 'number', description: 'US dollars after which a task gets no further fix-it rounds or retries' },
+  maxCostPerRun: { type: 'number', description: 'US dollars after which no further agent runs start' },
+};
+
+/**
+ * Keys that used to appear in bundle configs but are not read by anything
+ */
+export const DEPRECATED_CONFIG_KEYS = {
+  parallel: 'concurrency is controlled by "maxJobs" (use 1 for sequential runs)',
+  saveLogs: 'logs are always saved to execution.log in each task directory',
 };
 
 /**
@@ -67,11 +146,100 @@ export function validateConfig(config) {
     throw new Error('--generate-only and --run-only cannot be used together');
   }
 
+  if (config.retryFailed && config.resume) {
+    throw new Error('--retry-failed and --resume cannot be used together');
+  }
+
+  if (config.generateOnly && (config.retryFailed || config.resume)) {
+    throw new Error('--generate-only cannot be combined with --retry-failed or --resume');
+  }
+
+  if (config.plan && (config.generateOnly || config.runOnly || config.retryFailed || config.resume)) {
+    throw new Error('--plan cannot be combined with --generate-only, --run-only, --retry-failed or --resume');
+  }
+
   // Validate maxJobs
   if (!Number.isInteger(config.maxJobs) || config.maxJobs < 1) {
     throw new Error(`--max-jobs must be a positive integer (got: ${config.maxJobs})`);
   }
 
+  // Validate retry settings
+  if (!Number.isInteger(config.maxRetries) || config.maxRetries < 0) {
+    throw new Error(`--max-retries must be a non-negative integer (got: ${config.maxRetries})`);
+  }
+
+  if (typeof config.retryDelay !== 'number' || Number.isNaN(config.retryDelay) || config.retryDelay < 0) {
+    throw new Error(`--retry-delay must be a non-negative number of seconds (got: ${config.retryDelay})`);
+  }
+
+  // Validate timeouts
+  if (typeof config.taskTimeout !== 'number' || Number.isNaN(config.taskTimeout) || config.taskTimeout < 0) {
+    throw new Error(`--task-timeout must be a non-negative number of seconds (got: ${config.taskTimeout})`);
+  }
+
+  if (typeof config.shutdownGracePeriod !== 'number' || Number.isNaN(config.shutdownGracePeriod) || config.shutdownGracePeriod < 0) {
+    throw new Error(`shutdownGracePeriod must be a non-negative number of seconds (got: ${config.shutdownGracePeriod})`);
+  }
+
+  // Validate clone and fetch settings
+  if (!CLONE_STRATEGIES.includes(config.cloneStrategy)) {
+    throw new Error(`--clone-strategy must be one of ${CLONE_STRATEGIES.join(', ')} (got: ${config.cloneStrategy})`);
+  }
+
+  if (!FETCH_SCOPES.includes(config.fetchScope)) {
+    throw new Error(`--fetch-scope must be one of ${FETCH_SCOPES.join(', ')} (got: ${config.fetchScope})`);
+  }
+
+  if (typeof config.mirrorDir !== 'string' || config.mirrorDir === '') {
+    throw new Error(`mirrorDir must be a directory path (got: ${JSON.stringify(config.mirrorDir)})`);
+  }
+
+  // Validate verification settings
+  if (!Array.isArray(config.verify) || config.verify.some(command => typeof command !== 'string')) {
+    throw new Error('verify must be a list of shell commands');
+  }
+
+  if (!Number.isInteger(config.verifyRounds) || config.verifyRounds < 0) {
+    throw new Error(`--verify-rounds must be a non-negative integer (got: ${config.verifyRounds})`);
+  }
+
+  // Validate cost limits
+  for (const [key, flag] of [['maxCostPerTask', '--max-cost-per-task'], ['maxCostPerRun', '--max-cost-per-run']]) {
+    if (typeof config[key] !== 'number' || Number.isNaN(config[key]) || config[key] < 0) {
+      throw new Error(`${flag} must be a non-negative amount in US dollars (got: ${config[key]})`);
+    }
+  }
+
+  // Validate template variables
+  validateVariables(config.vars, 'config.json');
+
+  // Validate agent profiles
+  if (!config.agents || typeof config.agents !== 'object' || Array.isArray(config.agents)) {
+    throw new Error('agents must be an object of named agent profiles');
+  }
+  for (const [name, profile] of Object.entries(config.agents)) {
+    validateAgentProfile(profile, `agents.${name}`);
+  }
+  resolveAgent(config);
+
+  // Validate pull request settings
+  if (config.pr !== null && config.pr !== undefined) {
+    validatePullRequestConfig(config.pr, 'pr');
+  }
+
+  // Validate lifecycle hooks
+  if (config.hooks !== null && config.hooks !== undefined) {
+    validateHooksConfig(config.hooks, 'hooks');
+  }
+
+  // Validate backport mode; the cherry-picked branches are pushed by the orchestrator
+  if (config.backport !== null && config.backport !== undefined) {
+    validateBackportConfig(config.backport, 'backport');
+    if (!config.pr) {
+      throw new Error('backport requires a "pr" section: the orchestrator pushes the cherry-picked branches and opens their pull requests');
+    }
+  }
+
   return true;
 }
 
@@ -93,11 +261,15 @@ export async function resolveFilePaths(bundlePath, guideFile = 'GUIDE.md') {
   }
 
   const paths = {
+    bundleDir: bundlePath,
+    bundleName: path.basename(path.resolve(bundlePath)),
     targetFile: path.join(bundlePath, 'target.yml'),
     taskFile: path.join(bundlePath, 'task.md'),
     guideFile: guideFile,
-    outputDir: 'tasks',
-    workspaceDir: 'workspace',
+    runsDir: path.join(RUNS_DIR, path.basename(path.resolve(bundlePath))),
+    // The bundle's most recent run; task generation starts a new one
+    outputDir: path.join(RUNS_DIR, path.basename(path.resolve(bundlePath)), LATEST_RUN),
+    workspaceDir: WORKSPACE_DIR,
   };
 
   // Check if bundle has its own GUIDE.md
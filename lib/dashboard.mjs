@@ -0,0 +1,246 @@
+#!/usr/bin/env zx
+
+import { fs, chalk } from 'zx';
+import { TaskStatus } from './state.mjs';
+import { formatDuration } from './utils.mjs';
+import { describeLogLine } from './result.mjs';
+
+/**
+ * How often the live dashboard redraws, in milliseconds
+ */
+const REFRESH_INTERVAL = 1000;
+
+/**
+ * Bytes read from the end of a log file to find its last line
+ */
+const LOG_TAIL_BYTES = 4096;
+
+/**
+ * Dashboard label and color of each task state, in row order
+ */
+const STATE_STYLES = {
+  [TaskStatus.RUNNING]: { label: 'running', color: chalk.cyan },
+  [TaskStatus.FAILED]: { label: 'failed', color: chalk.red },
+  [TaskStatus.TIMED_OUT]: { label: 'timed out', color: chalk.red },
+  [TaskStatus.INTERRUPTED]: { label: 'interrupted', color: chalk.yellow },
+  [TaskStatus.PASSED]: { label: 'passed', color: chalk.green },
+  [TaskStatus.SKIPPED_BUDGET]: { label: 'over budget', color: chalk.yellow },
+  [TaskStatus.PENDING]: { label: 'queued', color: chalk.gray },
+};
+
+/**
+ * Read the last non-empty line of a log file
+ * @param {string} logFile - Log file path
+ * @returns {string} Last line, or empty if the file is missing or empty
+ */
+async function readLastLine(logFile) {
+  let handle;
+  try {
+    handle = await fs.promises.open(logFile, 'r');
+    const { size } = await handle.stat();
+    const length = Math.min(size, LOG_TAIL_BYTES);
+    const buffer = Buffer.alloc(length);
+    await handle.read(buffer, 0, length, size - length);
+    return buffer.toString('utf-8').split('\n').map(line => line.trim()).filter(Boolean).pop() || '';
+  } catch {
+    return '';
+  } finally {
+    await handle?.close();
+  }
+}
+
+/**
+ * Fit a string into a number of columns on one line
+ * @param {string} text - Text
+ * @param {number} width - Maximum columns
+ * @returns {string} Single-line text, cut with an ellipsis when too long
+ */
+function fitLine(text, width) {
+  const line = text.replace(/\x1b\[[0-9;]*[A-Za-z]/g, '').replace(/\s+/g, ' ').trim();
+  if (width <= 1) {
+    return '';
+  }
+  return line.length > width ? `${line.substring(0, width - 1)}…` : line;
+}
+
+/**
+ * Create the progress display of a run
+ * On a TTY, a live dashboard is pinned below the console output: one row per
+ * task with its state, elapsed time and the last line of its execution.log,
+ * then the overall counts and an ETA. Console output printed while it is live
+ * scrolls above it. Without a TTY (e.g. in CI logs) a plain progress line is
+ * printed whenever a task finishes.
+ * The ETA is the average duration of the tasks finished so far, applied to
+ * the queued and running tasks and spread over maxJobs.
+ * @param {string[]} taskNames - Names of the tasks of the run, in order
+ * @param {Object} options - Dashboard options
+ * @param {number} options.maxJobs - Concurrency limit
+ * @param {Object} [options.stream] - Output stream (default: process.stdout)
+ * @returns {Object} Dashboard {update(taskName, changes), stop()}
+ */
+export function createDashboard(taskNames, { maxJobs, stream = process.stdout }) {
+  const live = Boolean(stream.isTTY);
+  const tasks = new Map(taskNames.map(taskName => [taskName, {
+    status: TaskStatus.PENDING,
+    notStarted: false,
+    startedAt: null,
+    duration: null,
+    logFile: null,
+    attempt: 1,
+    lastLine: '',
+  }]));
+  const original = { log: console.log, error: console.error, warn: console.warn };
+  let frame = [];
+  let timer = null;
+  let stopped = false;
+
+  const counts = () => {
+    const all = [...tasks.values()];
+    const finished = all.filter(task => task.duration !== null);
+    const running = all.filter(task => task.status === TaskStatus.RUNNING);
+    const queued = all.filter(task => task.status === TaskStatus.PENDING && !task.notStarted);
+
+    let eta = null;
+    if (finished.length > 0 && (running.length > 0 || queued.length > 0)) {
+      const average = finished.reduce((sum, task) => sum + task.duration, 0) / finished.length;
+      const runningLeft = running.reduce((sum, task) => sum + Math.max(average - (Date.now() - task.startedAt) / 1000, 0), 0);
+      eta = Math.round((queued.length * average + runningLeft) / Math.max(maxJobs, 1));
+    }
+
+    return {
+      total: all.length,
+      done: finished.length,
+      running: running.length,
+      queued: queued.length,
+      passed: finished.filter(task => task.status === TaskStatus.PASSED).length,
+      failed: finished.filter(task => task.status !== TaskStatus.PASSED).length,
+      notStarted: all.filter(task => task.notStarted).length,
+      skipped: all.filter(task => task.status === TaskStatus.SKIPPED_BUDGET).length,
+      eta,
+    };
+  };
+
+  const summaryLine = () => {
+    const { total, done, running, queued, passed, failed, notStarted, skipped, eta } = counts();
+    const parts = [`${done}/${total} done`, `${running} running`, `${queued} queued`, `${passed} passed`, `${failed} failed`];
+    if (notStarted > 0) {
+      parts.push(`${notStarted} not started`);
+    }
+    if (skipped > 0) {
+      parts.push(`${skipped} over budget`);
+    }
+    const etaText = eta === null ? (done === total ? '' : ' · ETA: after the first task finishes') : ` · ETA: ${formatDuration(eta)}`;
+    return `📊 Progress: ${parts.join(', ')}${etaText}`;
+  };
+
+  const buildFrame = () => {
+    const columns = stream.columns || 80;
+    const maxRows = Math.max((stream.rows || 24) - 6, 3);
+    const order = Object.keys(STATE_STYLES);
+    const entries = [...tasks.entries()]
+      .map(([taskName, task], index) => ({ taskName, task, index }))
+      .sort((a, b) => order.indexOf(a.task.status) - order.indexOf(b.task.status) || a.index - b.index);
+    const nameWidth = Math.min(Math.max(...taskNames.map(taskName => taskName.length), 4), Math.floor(columns / 3));
+
+    const rows = entries.slice(0, maxRows).map(({ taskName, task }) => {
+      const style = task.notStarted ? { label: 'not started', color: chalk.gray } : STATE_STYLES[task.status];
+      const elapsed = task.duration !== null
+        ? formatDuration(task.duration)
+        : task.startedAt ? formatDuration(Math.round((Date.now() - task.startedAt) / 1000)) : '';
+      const attempt = task.attempt > 1 ? ` #${task.attempt}` : '';
+      const name = fitLine(taskName, nameWidth).padEnd(nameWidth);
+      const state = `${style.label}${attempt}`.padEnd(14);
+      const width = columns - name.length - state.length - 9 - 7;
+      const lastLine = task.status === TaskStatus.PENDING ? '' : fitLine(task.lastLine, width);
+      return `${name}  ${style.color(state)}  ${elapsed.padEnd(9)}  ${chalk.gray(lastLine)}`;
+    });
+
+    if (entries.length > maxRows) {
+      rows.push(chalk.gray(`… and ${entries.length - maxRows} more`));
+    }
+
+    return ['', chalk.bold('🚦 LIVE PROGRESS'), ...rows, fitLine(summaryLine(), columns - 1)];
+  };
+
+  const clear = () => {
+    if (frame.length > 0) {
+      stream.write(`\x1b[${frame.length}A\x1b[0J`);
+    }
+  };
+
+  const draw = () => {
+    clear();
+    frame = buildFrame();
+    stream.write(`${frame.join('\n')}\n`);
+  };
+
+  const refresh = async () => {
+    await Promise.all([...tasks.values()]
+      .filter(task => task.logFile && task.status === TaskStatus.RUNNING)
+      .map(async (task) => {
+        task.lastLine = describeLogLine(await readLastLine(task.logFile)) || task.lastLine;
+      }));
+    if (!stopped) {
+      draw();
+    }
+  };
+
+  if (live) {
+    // Print console output above the dashboard instead of through it
+    for (const method of Object.keys(original)) {
+      console[method] = (...args) => {
+        clear();
+        original[method](...args);
+        frame = buildFrame();
+        stream.write(`${frame.join('\n')}\n`);
+      };
+    }
+    draw();
+    timer = setInterval(refresh, REFRESH_INTERVAL);
+    timer.unref();
+  }
+
+  return {
+    /**
+     * Record a task's state
+     * @param {string} taskName - Task name
+     * @param {Object} changes - {status, logFile, attempt, notStarted, duration, summary}
+     */
+    update(taskName, changes) {
+      const task = tasks.get(taskName);
+      if (!task || stopped) {
+        return;
+      }
+
+      if (changes.status === TaskStatus.RUNNING && task.status !== TaskStatus.RUNNING) {
+        task.startedAt = Date.now();
+        task.duration = null;
+      }
+      Object.assign(task, changes);
+      if (changes.summary) {
+        task.lastLine = changes.summary;
+      }
+
+      if (live) {
+        draw();
+      } else if (changes.duration !== undefined) {
+        console.log(summaryLine());
+      }
+    },
+
+    /**
+     * Stop the dashboard and restore the console; the last frame stays on screen
+     */
+    stop() {
+      if (stopped) {
+        return;
+      }
+      stopped = true;
+      clearInterval(timer);
+      if (live) {
+        Object.assign(console, original);
+        draw();
+      }
+    },
+  };
+}
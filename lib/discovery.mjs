@@ -0,0 +1,132 @@
+#!/usr/bin/env zx
+
+import { fs, path } from 'zx';
+import pLimit from 'p-limit';
+import { getProvider, isDefaultProvider } from './providers.mjs';
+
+/**
+ * Name of the discovery cache written into the output directory
+ */
+export const DISCOVERY_FILE = 'discovered-repos.json';
+
+/**
+ * Build the cache key for a discovery spec
+ * @param {string} org - Organization name
+ * @param {Object} spec - `discover` spec from target.yml
+ * @param {Object} provider - Provider spec {type, host}; omitted from the key for github.com
+ * @returns {string} Stable cache key
+ */
+export function discoveryKey(org, spec, provider = {}) {
+  const sortKeys = (value) => {
+    if (Array.isArray(value)) {
+      return value.map(sortKeys);
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+    }
+    return value;
+  };
+
+  if (isDefaultProvider(provider)) {
+    return JSON.stringify({ org, discover: sortKeys(spec) });
+  }
+  return JSON.stringify({ provider: `${provider.type}|${provider.host}`, org, discover: sortKeys(spec) });
+}
+
+/**
+ * Normalize a value that may be a single item or a list
+ * @param {*} value - Value from target.yml
+ * @returns {Array} List of items
+ */
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Discover the repositories of an organization that match a spec
+ * Spec keys: `topic` (one or a list, all required), `language`,
+ * `includeArchived` (default false), `includeForks` (default false),
+ * `contains` (one or a list of {file, pattern}: the file must exist on the
+ * default branch and, if given, its content must match the regex pattern)
+ * and `limit` (repositories to scan, default 1000).
+ * @param {string} org - Organization name
+ * @param {Object} spec - `discover` spec from target.yml
+ * @param {Object} provider - Git hosting provider from getProvider() (default: github.com)
+ * @returns {string[]} Matching repository names, sorted
+ */
+export async function discoverRepositories(org, spec, provider = getProvider()) {
+  const topics = toList(spec.topic);
+  const language = spec.language ? String(spec.language).toLowerCase() : null;
+  const fileChecks = toList(spec.contains);
+
+  const candidates = (await provider.listOrgRepositories(org, spec.limit || 1000)).filter((repo) => {
+    if (repo.isArchived && !spec.includeArchived) {
+      return false;
+    }
+    if (repo.isFork && !spec.includeForks) {
+      return false;
+    }
+    if (language && (repo.primaryLanguage || '').toLowerCase() !== language) {
+      return false;
+    }
+    return topics.every(topic => repo.topics.includes(topic));
+  });
+
+  if (fileChecks.length === 0) {
+    return candidates.map(repo => repo.name).sort();
+  }
+
+  // File checks cost one API call per repository, so run a few at a time
+  const limit = pLimit(8);
+  const matches = await Promise.all(candidates.map(repo => limit(async () => {
+    for (const check of fileChecks) {
+      const content = await provider.readRepositoryFile(org, repo.name, check.file);
+      if (content === null) {
+        return null;
+      }
+      if (check.pattern && !new RegExp(check.pattern, 'm').test(content)) {
+        return null;
+      }
+    }
+    return repo.name;
+  })));
+
+  return matches.filter(Boolean).sort();
+}
+
+/**
+ * Load the discovery cache from an output directory
+ * @param {string} outputDir - Output directory
+ * @returns {Object|null} Cached repo lists by discovery key, or null if there is no cache
+ */
+export async function loadDiscoveryCache(outputDir) {
+  const cachePath = path.join(outputDir, DISCOVERY_FILE);
+
+  try {
+    if (await fs.pathExists(cachePath)) {
+      const cache = await fs.readJson(cachePath);
+      return Object.fromEntries(Object.entries(cache.items || {}).map(([key, entry]) => [key, entry.repos]));
+    }
+  } catch (error) {
+    console.error(`⚠️  Warning: Error reading discovery cache ${cachePath}: ${error.message}`);
+  }
+
+  return null;
+}
+
+/**
+ * Save discovery results into an output directory
+ * @param {string} outputDir - Output directory
+ * @param {Object} discovered - Entries by discovery key {org, discover, repos}
+ */
+export async function saveDiscoveryCache(outputDir, discovered) {
+  if (Object.keys(discovered).length === 0) {
+    return;
+  }
+
+  const cachePath = path.join(outputDir, DISCOVERY_FILE);
+  await fs.writeJson(cachePath, { discoveredAt: new Date().toISOString(), items: discovered }, { spaces: 2 });
+}
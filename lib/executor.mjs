@@ -1,15 +1,153 @@
 #!/usr/bin/env zx
 
-import { $, fs, path, chalk } from 'zx';
+import { $, fs, path, chalk, sleep } from 'zx';
 import pLimit from 'p-limit';
 import { formatTimestamp, calculateDuration, formatDuration } from './utils.mjs';
+import { buildTaskResult, getCheckedOutBranch, readTaskResult, writeTaskResult } from './result.mjs';
+import { STATE_FILE, TaskStatus, TaskOutcome, loadRunState, createRunStateTracker, selectTaskFiles } from './state.mjs';
+import { resolveAgent, buildAgentInvocation } from './agent.mjs';
+import { inspectWorktree, describeInspectionWarnings } from './inspect.mjs';
+import { readPullRequest, publishPullRequest } from './publish.mjs';
+import { BackportMode, groupBackportTasks, listSourceCommits, filterAppliedCommits, cherryPickCommits, appendBackportNote } from './backport.mjs';
+import { runVerification, writeVerifyFixPrompt } from './verify.mjs';
+import { createDashboard } from './dashboard.mjs';
+import { writeRunReport } from './report.mjs';
+import { RUN_HOOKS_LOG, hasHooks, resolveHooks, runHook, runHookEnvironment, taskHookEnvironment } from './hooks.mjs';
+import { createUsageLedger, formatCost, formatUsage } from './usage.mjs';
 
 /**
- * Extract repository paths from task file
+ * Shutdown state shared by all running tasks
+ * Agent, hook, verification and push processes register themselves in
+ * `activeProcesses` while they run (see superviseProcess()) so a shutdown
+ * request can terminate them.
+ */
+const shutdownState = {
+  requested: false,
+  gracePeriod: 10,
+  activeProcesses: new Set(),
+  killedProcesses: new WeakSet(),
+  wakeUp: null,
+  wakeUpPromise: null,
+};
+shutdownState.wakeUpPromise = new Promise((resolve) => {
+  shutdownState.wakeUp = resolve;
+});
+
+/**
+ * Check whether a shutdown has been requested
+ * @returns {boolean} True once requestShutdown() has been called
+ */
+export function isShutdownRequested() {
+  return shutdownState.requested;
+}
+
+/**
+ * Terminate a running process tree, escalating to SIGKILL after a grace period
+ * @param {Object} processPromise - zx ProcessPromise of the running process
+ * @param {number} gracePeriod - Seconds to wait after SIGTERM before SIGKILL
+ */
+async function terminateProcess(processPromise, gracePeriod) {
+  const exited = processPromise.then(() => true, () => true);
+
+  try {
+    await processPromise.kill('SIGTERM');
+  } catch {
+    // Process already exited
+    return;
+  }
+
+  const stopped = await Promise.race([exited, sleep(gracePeriod * 1000).then(() => false)]);
+  if (!stopped) {
+    try {
+      await processPromise.kill('SIGKILL');
+    } catch {
+      // Process exited in the meantime
+    }
+  }
+}
+
+/**
+ * Wait for a process that a shutdown request or a deadline may terminate
+ * The process is registered in `activeProcesses` while it runs, and is
+ * terminated (see terminateProcess()) once the deadline passes. A process
+ * started after a shutdown request is terminated right away, so nothing
+ * outlives the request.
+ * @param {Object} processPromise - zx ProcessPromise of the running process, with nothrow()
+ * @param {Object} [options] - Supervision options
+ * @param {number} [options.deadline] - Time (ms since the epoch) at which the process is terminated; 0 for none
+ * @param {Function} [options.onTimeout] - Called when the deadline is reached while the process runs
+ * @returns {Object} {output, timedOut, interrupted}; output is the ProcessOutput
+ */
+async function superviseProcess(processPromise, { deadline = 0, onTimeout = null } = {}) {
+  shutdownState.activeProcesses.add(processPromise);
+  if (shutdownState.requested) {
+    shutdownState.killedProcesses.add(processPromise);
+    terminateProcess(processPromise, shutdownState.gracePeriod);
+  }
+
+  let timedOut = false;
+  let timeoutId;
+  if (deadline > 0) {
+    timeoutId = setTimeout(() => {
+      timedOut = true;
+      onTimeout?.();
+      terminateProcess(processPromise, shutdownState.gracePeriod);
+    }, Math.max(0, deadline - Date.now()));
+  }
+
+  let output;
+  try {
+    output = await processPromise;
+  } finally {
+    clearTimeout(timeoutId);
+    shutdownState.activeProcesses.delete(processPromise);
+  }
+
+  return { output, timedOut, interrupted: shutdownState.killedProcesses.has(processPromise) };
+}
+
+/**
+ * Build the deadline of a task
+ * @param {number} taskTimeout - Seconds the task may take (0 disables the timeout)
+ * @param {number} [startTime] - Start of the task (ms since the epoch)
+ * @returns {number} Deadline in ms since the epoch, or 0 for none
+ */
+function taskDeadline(taskTimeout, startTime = Date.now()) {
+  return taskTimeout > 0 ? startTime + taskTimeout * 1000 : 0;
+}
+
+/**
+ * Request a graceful shutdown of the running execution
+ * No new tasks are started; running agents get SIGTERM and, if they are still
+ * alive after the grace period, SIGKILL. Resolves once all agents have exited.
+ * @returns {Promise<void>}
+ */
+export async function requestShutdown() {
+  shutdownState.requested = true;
+  shutdownState.wakeUp();
+
+  const running = [...shutdownState.activeProcesses];
+  for (const processPromise of running) {
+    shutdownState.killedProcesses.add(processPromise);
+  }
+
+  await Promise.all(running.map(processPromise => terminateProcess(processPromise, shutdownState.gracePeriod)));
+}
+
+/**
+ * Sleep that returns early when a shutdown is requested
+ * @param {number} ms - Milliseconds to sleep
+ */
+async function interruptibleSleep(ms) {
+  await Promise.race([sleep(ms), shutdownState.wakeUpPromise]);
+}
+
+/**
+ * Extract task information from task file
  * @param {string} taskFile - Path to task file
- * @returns {Object} Object with taskDirPath and repoCodePath
+ * @returns {Object} Object with org, repo, branch, provider, featureBranch, bundle, taskDirPath and repoCodePath
  */
-async function extractRepoPaths(taskFile) {
+export async function extractTaskInfo(taskFile) {
   const content = await fs.readFile(taskFile, 'utf-8');
 
   // Extract task directory path
@@ -24,32 +162,211 @@ async function extractRepoPaths(taskFile) {
     throw new Error('Could not extract repository code path from task file');
   }
 
+  // Target coordinates are informational, so missing ones are not an error
+  const orgMatch = content.match(/^- \*\*Organization\*\*: (.+)$/m);
+  const repoMatch = content.match(/^- \*\*Repository\*\*: (.+)$/m);
+  const branchMatch = content.match(/^- \*\*Branch\*\*: (.+)$/m);
+  const providerMatch = content.match(/^- \*\*Provider\*\*: (\S+) \((.+)\)$/m);
+  const featureBranchMatch = content.match(/^- \*\*Feature Branch\*\*: (.+)$/m);
+  const bundleMatch = content.match(/^- \*\*Bundle\*\*: (.+)$/m);
+
   return {
+    org: orgMatch ? orgMatch[1].trim() : null,
+    repo: repoMatch ? repoMatch[1].trim() : null,
+    branch: branchMatch ? branchMatch[1].trim() : null,
+    provider: providerMatch ? { type: providerMatch[1], host: providerMatch[2].trim() } : null,
+    featureBranch: featureBranchMatch ? featureBranchMatch[1].trim() : null,
+    bundle: bundleMatch ? bundleMatch[1].trim() : null,
     taskDirPath: taskDirMatch[1].trim(),
     repoCodePath: repoCodeMatch[1].trim(),
   };
 }
 
+/**
+ * Run the agent on a task and parse its report
+ * @param {string} taskFile - Path to task file
+ * @param {string} logFile - Path to log file
+ * @param {Object} options - Run options
+ * @param {string} options.taskName - Task name, for log messages
+ * @param {string} options.repoCodePath - Worktree the agent runs in
+ * @param {number} options.taskTimeout - Seconds the whole task may take, for messages
+ * @param {number} options.deadline - Time at which the agent is killed, see taskDeadline() (0 for none)
+ * @param {Object} options.agent - Agent profile from resolveAgent()
+ * @param {Object} options.ledger - Usage ledger from createUsageLedger(), the run's usage is recorded in
+ * @returns {Object} {agentResult, timedOut, interrupted}
+ */
+async function runAgent(taskFile, logFile, { taskName, repoCodePath, taskTimeout, deadline, agent, ledger }) {
+  // Run the agent with output saved to log
+  console.log(`🤖 Running agent '${agent.name}' (${agent.command})... (output saved to log)`);
+  // An agent that can cap its own spend gets what is left of the task and run budgets
+  const maxBudgetUsd = ledger.remaining(taskName);
+  const { command, args, env, stdinFile } = buildAgentInvocation(agent, taskFile, { maxBudgetUsd });
+
+  // Ensure log file directory exists before writing (should be task directory)
+  await fs.ensureDir(path.dirname(logFile));
+
+  // Convert log file to absolute path for use in subshell
+  const absoluteLogFile = path.resolve(logFile);
+
+  // Only this invocation's output is parsed; earlier output (hooks, an earlier fix-it round) stays in the log
+  const logOffset = (await fs.pathExists(absoluteLogFile)) ? (await fs.stat(absoluteLogFile)).size : 0;
+
+  // Run the agent in repo code directory and save output to task directory, after any preTask hook output
+  const agentProcess = $({ env: { ...process.env, ...env } })`cd ${repoCodePath} && ${command} ${args} < ${stdinFile} >> ${absoluteLogFile} 2>&1`.nothrow();
+
+  // Kill a hung agent once the task timeout elapses
+  const { output: processOutput, timedOut, interrupted } = await superviseProcess(agentProcess, {
+    deadline,
+    onTimeout: () => console.log(`⏰ Task ${taskName} exceeded ${formatDuration(taskTimeout)}, terminating agent...`),
+  });
+
+  const rawOutput = (await fs.readFile(absoluteLogFile)).subarray(logOffset).toString('utf-8');
+  let agentResult = await buildTaskResult({
+    rawOutput,
+    exitCode: processOutput.exitCode,
+    repoCodePath,
+  });
+  ledger.record(taskName, agentResult.usage);
+
+  if (timedOut) {
+    agentResult = { ...agentResult, pass: false, summary: `Task timed out after ${formatDuration(taskTimeout)}` };
+  } else if (interrupted && !agentResult.pass) {
+    agentResult = { ...agentResult, pass: false, retryable: false, summary: 'Agent was terminated by shutdown request' };
+  }
+
+  return { agentResult, timedOut, interrupted };
+}
+
+/**
+ * Verify a passing agent run, running the agent again on failure
+ * The verification commands run in the worktree and their output is saved to
+ * verify-<round>.log next to the task log. When they fail, the agent gets a
+ * follow-up prompt (verify-fix-<round>.md) with the failing output, for up to
+ * verifyRounds rounds; its output is appended to the task log. The task only
+ * passes when the last verification passed. No fix-it round starts once the
+ * task or run budget is exhausted.
+ * @param {string} taskFile - Path to task file
+ * @param {string} logFile - Path to log file
+ * @param {Object} agentResult - Result of the agent run
+ * @param {Object} options - Verification options
+ * @param {string} options.taskName - Task name, for log messages
+ * @param {string} options.repoCodePath - Worktree to verify
+ * @param {string[]} options.verify - Verification commands
+ * @param {number} options.verifyRounds - Fix-it rounds after a failed verification
+ * @param {number} options.taskTimeout - Seconds the whole task may take, for messages
+ * @param {number} options.deadline - Time at which verification and agent runs are killed, see taskDeadline() (0 for none)
+ * @param {Object} options.agent - Agent profile from resolveAgent()
+ * @param {Object} options.ledger - Usage ledger from createUsageLedger()
+ * @returns {Object} {agentResult, verification, timedOut, interrupted}; verification is {pass, rounds, command, exitCode, logFile}
+ */
+async function verifyWithFixRounds(taskFile, logFile, agentResult, { taskName, repoCodePath, verify, verifyRounds, taskTimeout, deadline, agent, ledger }) {
+  const taskDir = path.dirname(taskFile);
+
+  for (let round = 0; ; round++) {
+    const verifyLog = path.join(taskDir, `verify-${round + 1}.log`);
+    console.log(`🧪 Verifying ${taskName}${round > 0 ? ` after fix-it round ${round}` : ''} (output saved to ${path.basename(verifyLog)})`);
+    const verification = await runVerification(repoCodePath, verify, verifyLog, {
+      supervise: processPromise => superviseProcess(processPromise, { deadline }),
+    });
+    const summary = { pass: verification.pass, rounds: round, command: verification.command, exitCode: verification.exitCode, logFile: verifyLog };
+
+    if (verification.timedOut || verification.interrupted) {
+      const failure = verification.timedOut
+        ? `Task timed out after ${formatDuration(taskTimeout)} during verification: ${verification.command}`
+        : `Verification was terminated by shutdown request: ${verification.command}`;
+      return {
+        agentResult: { ...agentResult, pass: false, retryable: false, summary: failure },
+        verification: summary,
+        timedOut: verification.timedOut,
+        interrupted: verification.interrupted,
+      };
+    }
+
+    if (verification.pass) {
+      console.log(`✅ Verification passed${round > 0 ? ` after ${round} fix-it round(s)` : ''}`);
+      const note = round > 0 ? ` (verification passed after ${round} fix-it round(s))` : '';
+      return { agentResult: { ...agentResult, summary: `${agentResult.summary}${note}` }, verification: summary, timedOut: false, interrupted: false };
+    }
+
+    const exhausted = round < verifyRounds ? ledger.exhausted(taskName) : null;
+    if (round >= verifyRounds || exhausted || shutdownState.requested) {
+      if (exhausted) {
+        console.log(`💸 No fix-it round for ${taskName}: ${exhausted}`);
+      }
+      const failure = `Verification failed: ${verification.command} (exit ${verification.exitCode})${round > 0 ? ` after ${round} fix-it round(s)` : ''}${exhausted ? `, no further round: ${exhausted}` : ''}`;
+      return { agentResult: { ...agentResult, pass: false, retryable: false, summary: failure }, verification: summary, timedOut: false, interrupted: false };
+    }
+
+    console.log(`🔧 Fix-it round ${round + 1}/${verifyRounds}: running the agent with the failing output`);
+    const promptFile = await writeVerifyFixPrompt(taskFile, path.join(taskDir, `verify-fix-${round + 1}.md`), verification, {
+      round: round + 1,
+      commands: verify,
+      verifyLog,
+    });
+    const followUp = await runAgent(promptFile, logFile, { taskName, repoCodePath, taskTimeout, deadline, agent, ledger });
+    agentResult = followUp.agentResult;
+
+    if (!agentResult.pass || followUp.timedOut || followUp.interrupted) {
+      return { ...followUp, verification: { ...summary, rounds: round + 1 } };
+    }
+  }
+}
+
 /**
  * Run a single task
+ * The agent runs in stream-json mode; its final report is parsed into
+ * result.json in the task directory and decides pass/fail. Tasks with a pr.json
+ * have their feature branch pushed and pull request opened by the orchestrator
+ * after a passing run (see lib/publish.mjs). The worktree is then inspected
+ * to record what really happened (see lib/inspect.mjs).
+ * The preTask hook runs before the agent, whose run is skipped (and the task
+ * failed) when the hook fails; the postTask hook runs once the result is
+ * known. Hook output goes to the task log (see lib/hooks.mjs).
+ * The task timeout is one deadline for the preTask hook, the agent run,
+ * verification and every fix-it round; the postTask hook gets a timeout of
+ * its own.
+ * With verification commands, a passing agent run is verified by the
+ * orchestrator before publishing, with fix-it rounds on failure (see
+ * verifyWithFixRounds()). The usage of every agent run is recorded in the
+ * ledger; the result's usage covers all agent runs of the task so far.
  * @param {string} taskFile - Path to task file
  * @param {string} logFile - Path to log file
- * @returns {Object} Task result {success, duration, startTime, endTime}
+ * @param {Object} options - Run options
+ * @param {number} options.attempt - Attempt number (1 for the first run)
+ * @param {number} options.taskTimeout - Seconds the task may take before it is killed (0 disables the timeout)
+ * @param {Object} options.agent - Agent profile from resolveAgent() (default: the claude profile)
+ * @param {string} [options.withoutAgent] - Pass the task without running the agent, with this summary (e.g. after a clean cherry-pick)
+ * @param {string} [options.backport] - How backport mode handled the task, see BackportMode
+ * @param {Object} [options.hooks] - Hooks from resolveHooks()
+ * @param {string[]} [options.verify] - Verification commands run after a passing agent run
+ * @param {number} [options.verifyRounds] - Fix-it rounds after a failed verification
+ * @param {Object} [options.ledger] - Usage ledger from createUsageLedger() (default: a ledger without limits)
+ * @returns {Object} Task result {status, outcome, pass, summary, prUrl, featureBranch, sessionId, usage, inspection, verification, backport, duration, ...}
  */
-export async function runTask(taskFile, logFile) {
+export async function runTask(taskFile, logFile, { attempt = 1, taskTimeout = 0, agent = resolveAgent({}), withoutAgent = null, backport = null, hooks = {}, verify = [], verifyRounds = 0, ledger = createUsageLedger() } = {}) {
   // Extract task name from directory name (parent of task.md)
   const taskDir = path.dirname(taskFile);
   const taskName = path.basename(taskDir);
   const startTimestamp = formatTimestamp();
   const startTime = Date.now();
+  const deadline = taskDeadline(taskTimeout, startTime);
+  const supervise = processPromise => superviseProcess(processPromise, { deadline });
 
   console.log('');
-  console.log(`🚀 Processing: ${taskName}`);
+  console.log(`🚀 Processing: ${taskName}${attempt > 1 ? ` (attempt ${attempt})` : ''}`);
   console.log(`🕰️  Started at: ${startTimestamp}`);
 
+  let taskInfo = {};
+  let agentResult;
+  let inspection = null;
+  let verification = null;
+  let timedOut = false;
+  let interrupted = false;
+
   try {
-    // Extract repository paths
-    const { taskDirPath, repoCodePath } = await extractRepoPaths(taskFile);
+    // Extract task information
+    taskInfo = await extractTaskInfo(taskFile);
+    const { taskDirPath, repoCodePath } = taskInfo;
 
     if (!(await fs.pathExists(repoCodePath))) {
       throw new Error(`Repository code directory does not exist: ${repoCodePath}`);
@@ -58,98 +375,367 @@ export async function runTask(taskFile, logFile) {
     console.log(`📁 Task directory: ${taskDirPath}`);
     console.log(`📁 Working in repository code: ${repoCodePath}`);
 
-    // Run Claude CLI with output saved to log
-    console.log(`🤖 Running Claude CLI... (output saved to log)`);
-    const taskContent = await fs.readFile(taskFile, 'utf-8');
-
-    // Ensure log file directory exists before writing (should be task directory)
+    // Every attempt starts a fresh log, beginning with the preTask hook output
     await fs.ensureDir(path.dirname(logFile));
+    await fs.writeFile(logFile, '', 'utf-8');
+    const preTask = await runHook('preTask', hooks.preTask, { cwd: repoCodePath, logFile, env: taskHookEnvironment(taskInfo), supervise });
 
-    // Convert log file to absolute path for use in subshell
-    const absoluteLogFile = path.resolve(logFile);
+    if (!preTask.pass) {
+      console.log(`⏭️  Not running the agent: the preTask hook failed`);
+      ({ timedOut, interrupted } = preTask);
+      agentResult = {
+        pass: false,
+        summary: preTask.timedOut
+          ? `Task timed out after ${formatDuration(taskTimeout)} in the preTask hook: ${preTask.command}`
+          : `preTask hook failed: ${preTask.command} (exit ${preTask.exitCode})`,
+        prUrl: null,
+        featureBranch: null,
+        sessionId: null,
+        exitCode: null,
+        retryable: false,
+      };
+    } else if (withoutAgent) {
+      console.log(`⏭️  Not running the agent: ${withoutAgent}`);
+      agentResult = {
+        pass: true,
+        summary: withoutAgent,
+        prUrl: null,
+        featureBranch: await getCheckedOutBranch(repoCodePath),
+        sessionId: null,
+        exitCode: null,
+        retryable: false,
+      };
+    } else {
+      ({ agentResult, timedOut, interrupted } = await runAgent(taskFile, logFile, { taskName, repoCodePath, taskTimeout, deadline, agent, ledger }));
+      if (agentResult.pass && verify.length > 0) {
+        ({ agentResult, verification, timedOut, interrupted } = await verifyWithFixRounds(taskFile, logFile, agentResult, {
+          taskName, repoCodePath, verify, verifyRounds, taskTimeout, deadline, agent, ledger,
+        }));
+      }
+    }
 
+    // Publish the orchestrator-managed branch of a passing run; nothing is pushed once a shutdown was requested
+    const pullRequest = await readPullRequest(taskDirPath);
+    if (pullRequest && agentResult.pass) {
+      const published = shutdownState.requested
+        ? { interrupted: true }
+        : await publishPullRequest(repoCodePath, pullRequest, taskInfo, { supervise, shouldStop: isShutdownRequested });
+      if (published.interrupted) {
+        interrupted = true;
+        agentResult = { ...agentResult, pass: false, retryable: false, featureBranch: pullRequest.branch, summary: `${agentResult.summary} (not published: shutdown requested)` };
+      } else {
+        agentResult = published.error
+          ? { ...agentResult, pass: false, retryable: false, featureBranch: pullRequest.branch, summary: `${agentResult.summary} (publishing failed: ${published.error})` }
+          : { ...agentResult, featureBranch: pullRequest.branch, prUrl: published.prUrl };
+      }
+    }
+
+    // Check what the agent actually left in the worktree
     try {
-      // Run claude command in repo code directory and save output to task directory
-      await $`cd ${repoCodePath} && echo ${taskContent} | claude -p "Execute this task" --verbose --output-format text --dangerously-skip-permissions > ${absoluteLogFile} 2>&1`;
+      inspection = await inspectWorktree(repoCodePath, {
+        branch: taskInfo.branch,
+        featureBranch: agentResult.featureBranch,
+        prUrl: agentResult.prUrl,
+      });
+      console.log(`🔍 Outcome: ${inspection.outcome} (${inspection.commits} new commit(s) on ${inspection.headRef})`);
+      for (const warning of describeInspectionWarnings(inspection)) {
+        console.log(`⚠️  ${warning}`);
+      }
     } catch (error) {
-      // Command failed, but output was saved to log
-      const endTimestamp = formatTimestamp();
-      const endTime = Date.now();
-      const duration = calculateDuration(startTime, endTime);
-      const formattedDuration = formatDuration(duration);
+      console.warn(`⚠️  Warning: Could not inspect ${repoCodePath}: ${error.message}`);
+    }
+  } catch (error) {
+    agentResult = {
+      pass: false,
+      summary: error.message,
+      prUrl: null,
+      featureBranch: null,
+      sessionId: null,
+      exitCode: null,
+      retryable: false,
+      error: error.message,
+    };
+  }
 
-      console.log(`🏁 Finished at: ${endTimestamp}`);
-      console.log(`⏱️  Duration: ${formattedDuration}`);
-      console.log(`❌ Failed: ${taskName}`);
-      console.log(`📄 Log: ${logFile}`);
+  const endTimestamp = formatTimestamp();
+  const endTime = Date.now();
+  const duration = calculateDuration(startTime, endTime);
+  const formattedDuration = formatDuration(duration);
 
-      return {
-        success: false,
-        taskName,
-        startTimestamp,
-        endTimestamp,
-        duration,
-        formattedDuration,
-        logFile,
-      };
+  let status = agentResult.pass ? TaskStatus.PASSED : TaskStatus.FAILED;
+  if (timedOut) {
+    status = TaskStatus.TIMED_OUT;
+  } else if (interrupted && !agentResult.pass) {
+    status = TaskStatus.INTERRUPTED;
+  }
+
+  const result = {
+    taskName,
+    status,
+    org: taskInfo.org || null,
+    repo: taskInfo.repo || null,
+    branch: taskInfo.branch || null,
+    repoCodePath: taskInfo.repoCodePath || null,
+    ...agentResult,
+    usage: ledger.taskUsage(taskName),
+    outcome: inspection?.outcome || null,
+    inspection,
+    verification,
+    backport,
+    attempt,
+    startTimestamp,
+    endTimestamp,
+    duration,
+    formattedDuration,
+  };
+
+  // Cleanup and artifact collection; a failing postTask hook is reported but does not change the result
+  if (taskInfo.repoCodePath && (await fs.pathExists(taskInfo.repoCodePath))) {
+    const postTask = await runHook('postTask', hooks.postTask, {
+      cwd: taskInfo.repoCodePath,
+      logFile,
+      env: taskHookEnvironment(taskInfo, result),
+      supervise: processPromise => superviseProcess(processPromise, { deadline: taskDeadline(taskTimeout) }),
+    });
+    if (!postTask.pass) {
+      console.warn(`⚠️  Warning: postTask hook of ${taskName} failed: ${postTask.command} (exit ${postTask.exitCode}), see ${logFile}`);
     }
+  }
 
-    const endTimestamp = formatTimestamp();
-    const endTime = Date.now();
-    const duration = calculateDuration(startTime, endTime);
-    const formattedDuration = formatDuration(duration);
+  await writeTaskResult(taskDir, result);
 
-    console.log(`🏁 Finished at: ${endTimestamp}`);
-    console.log(`⏱️  Duration: ${formattedDuration}`);
+  console.log(`🏁 Finished at: ${endTimestamp}`);
+  console.log(`⏱️  Duration: ${formattedDuration}`);
+  if (result.usage) {
+    console.log(`💰 Usage: ${formatUsage(result.usage)}`);
+  }
+  if (result.pass) {
     console.log(`✅ Completed: ${taskName}`);
+  } else if (status === TaskStatus.TIMED_OUT) {
+    console.log(`⏰ Timed out: ${taskName} - ${result.summary}`);
+  } else if (status === TaskStatus.INTERRUPTED) {
+    console.log(`🛑 Interrupted: ${taskName}`);
+  } else {
+    console.log(`❌ Failed: ${taskName} - ${result.summary}`);
+  }
+  if (result.prUrl) {
+    console.log(`🔗 Pull request: ${result.prUrl}`);
+  }
+  if (!result.error) {
     console.log(`📄 Log: ${logFile}`);
+  }
 
-    return {
-      success: true,
-      taskName,
-      startTimestamp,
-      endTimestamp,
-      duration,
-      formattedDuration,
-      logFile,
-    };
-  } catch (error) {
-    const endTimestamp = formatTimestamp();
-    const endTime = Date.now();
-    const duration = calculateDuration(startTime, endTime);
-    const formattedDuration = formatDuration(duration);
+  return { ...result, logFile: result.error ? null : logFile };
+}
 
-    console.log(`🏁 Finished at: ${endTimestamp}`);
-    console.log(`⏱️  Duration: ${formattedDuration}`);
-    console.log(`❌ Failed: ${taskName} - ${error.message}`);
 
-    return {
-      success: false,
-      taskName,
-      startTimestamp,
-      endTimestamp,
-      duration,
-      formattedDuration,
-      error: error.message,
-    };
+/**
+ * Move the log of an earlier attempt aside so the next attempt starts a fresh log
+ * The earlier attempt may be a retry of this invocation or have run before
+ * --retry-failed or --resume; an existing archive is never overwritten.
+ * @param {string} logFile - Path to log file
+ * @param {number} attempt - Attempt number the log belongs to
+ */
+async function archiveAttemptLog(logFile, attempt) {
+  if (!(await fs.pathExists(logFile)) || (await fs.stat(logFile)).size === 0) {
+    return;
+  }
+
+  let number = Math.max(attempt, 1);
+  while (await fs.pathExists(logFile.replace(/\.log$/, `.attempt-${number}.log`))) {
+    number++;
   }
+  await fs.move(logFile, logFile.replace(/\.log$/, `.attempt-${number}.log`));
 }
 
+/**
+ * Bring one secondary task of a repository up to its primary in backport mode
+ * The primary's commits are cherry-picked into the task's worktree and
+ * verified; the agent only runs when the cherry-pick conflicts, verification
+ * fails, or the primary left nothing to cherry-pick. Commits the worktree
+ * already has (from an earlier attempt) are not picked again.
+ * @param {Object} task - Task info from extractTaskInfo() with taskFile
+ * @param {Object} primary - The repository's primary task info
+ * @param {Object} primaryResult - Result of the primary task, from this invocation or its result.json
+ * @param {Object} backport - Backport settings {primary, verify}
+ * @param {Object} context - {processTask, taskTimeout}; processTask runs a task with retries and counts its result, taskTimeout limits the verification
+ * @returns {Object} Task result
+ */
+async function backportTask(task, primary, primaryResult, backport, { processTask, taskTimeout }) {
+  const taskName = path.basename(task.taskDirPath);
+  if (shutdownState.requested) {
+    return processTask(task.taskFile);
+  }
+
+  const commits = primaryResult.pass && primaryResult.inspection?.commits > 0
+    ? await listSourceCommits(primary.repoCodePath, primaryResult.inspection)
+    : [];
+  if (commits.length === 0) {
+    console.log(`🍒 Nothing to cherry-pick into ${taskName} (${primary.branch} ${primaryResult.pass ? 'made no commits' : 'did not pass'}), running the agent`);
+    return processTask(task.taskFile, { backportMode: BackportMode.NO_SOURCE });
+  }
+
+  const pending = await filterAppliedCommits(task.repoCodePath, commits);
+  if (pending.length < commits.length) {
+    console.log(`🍒 ${taskName} already has ${commits.length - pending.length} of the ${commits.length} commit(s) from ${primary.branch}`);
+  }
+  let cherryPick = { clean: true };
+  if (pending.length > 0) {
+    console.log(`🍒 Cherry-picking ${pending.length} commit(s) from ${primary.branch} into ${taskName}...`);
+    cherryPick = await cherryPickCommits(task.repoCodePath, pending);
+  }
+  if (!cherryPick.clean) {
+    console.log(`   ⚠️  Cherry-pick into ${taskName} conflicted (${cherryPick.conflictFiles.join(', ') || cherryPick.error}), running the agent`);
+    await appendBackportNote(task.taskFile, { primaryBranch: primary.branch, commits, mode: BackportMode.CONFLICT, cherryPick });
+    return processTask(task.taskFile, { backportMode: BackportMode.CONFLICT });
+  }
+
+  const verify = backport.verify || [];
+  if (verify.length > 0) {
+    console.log(`   🧪 Verifying ${taskName} (output saved to backport-verify.log)`);
+    const verification = await runVerification(task.repoCodePath, verify, path.join(task.taskDirPath, 'backport-verify.log'), {
+      supervise: processPromise => superviseProcess(processPromise, { deadline: taskDeadline(taskTimeout) }),
+    });
+    if (verification.interrupted) {
+      return processTask(task.taskFile);
+    }
+    if (!verification.pass) {
+      console.log(`   ⚠️  Verification of ${taskName} failed, running the agent`);
+      await appendBackportNote(task.taskFile, { primaryBranch: primary.branch, commits, mode: BackportMode.VERIFY_FAILED, verification });
+      return processTask(task.taskFile, { backportMode: BackportMode.VERIFY_FAILED });
+    }
+  }
+
+  return processTask(task.taskFile, {
+    backportMode: BackportMode.CHERRY_PICKED,
+    withoutAgent: `Cherry-picked ${commits.length} commit(s) from ${primary.branch}${verify.length ? ', verification passed' : ''}`,
+  });
+}
+
+/**
+ * Schedule tasks in backport mode
+ * Each repository's primary is picked among all of the run's tasks. When it
+ * is selected, it runs first and the repository's other selected tasks start
+ * once it has finished; otherwise (e.g. --retry-failed of a secondary only)
+ * they are ported from the primary's recorded result. See backportTask().
+ * @param {string[]} taskFiles - Task file paths to run
+ * @param {Object} backport - Backport settings {primary, verify}
+ * @param {Object} context - Scheduling context {runTaskFiles, limit, processTask, taskTimeout}; runTaskFiles lists every task of the run
+ * @returns {Promise[]} One result promise per task to run
+ * @throws {Error} If a task has no orchestrator-managed branch (pr.json)
+ */
+async function scheduleBackportTasks(taskFiles, backport, { runTaskFiles = taskFiles, limit, processTask, taskTimeout }) {
+  const tasks = [];
+  for (const taskFile of runTaskFiles) {
+    const task = { taskFile, ...(await extractTaskInfo(taskFile)) };
+    if (taskFiles.includes(taskFile) && !(await readPullRequest(task.taskDirPath))) {
+      throw new Error(`backport: ${path.basename(task.taskDirPath)} has no pr.json, so its cherry-picks would not be published; generate the bundle again with a "pr" section`);
+    }
+    tasks.push(task);
+  }
+
+  return groupBackportTasks(tasks, backport.primary).flatMap(({ repo, primary, secondaries }) => {
+    const selected = secondaries.filter(task => taskFiles.includes(task.taskFile));
+    const primarySelected = taskFiles.includes(primary.taskFile);
+    if (selected.length === 0) {
+      return primarySelected ? [limit(() => processTask(primary.taskFile, { backportMode: secondaries.length ? BackportMode.PRIMARY : null }))] : [];
+    }
+
+    let primaryPromise;
+    if (primarySelected) {
+      console.log(`🍒 ${repo}: solving on ${primary.branch}, then cherry-picking to ${selected.map(task => task.branch).join(', ')}`);
+      primaryPromise = limit(() => processTask(primary.taskFile, { backportMode: BackportMode.PRIMARY }));
+    } else {
+      console.log(`🍒 ${repo}: cherry-picking the recorded result of ${primary.branch} to ${selected.map(task => task.branch).join(', ')}`);
+      primaryPromise = readTaskResult(primary.taskDirPath).then(result => result || { pass: false });
+    }
+    return [
+      ...(primarySelected ? [primaryPromise] : []),
+      ...selected.map(task => primaryPromise.then(primaryResult => limit(() => backportTask(task, primary, primaryResult, backport, { processTask, taskTimeout })))),
+    ];
+  });
+}
+
+/**
+ * Print which branches backport mode cherry-picked cleanly and which needed the agent
+ * @param {Array} results - Task results
+ * @returns {Object} Counts {cherryPicked, agent}
+ */
+function printBackportSummary(results) {
+  const counts = { cherryPicked: 0, agent: 0 };
+  const repos = new Map();
+
+  for (const result of results.filter(result => result.backport)) {
+    const key = `${result.org}/${result.repo}`;
+    if (!repos.has(key)) {
+      repos.set(key, { primary: null, cherryPicked: [], agent: [] });
+    }
+    const entry = repos.get(key);
+
+    if (result.backport === BackportMode.PRIMARY) {
+      entry.primary = result;
+    } else if (result.backport === BackportMode.CHERRY_PICKED) {
+      entry.cherryPicked.push(`${result.branch}${result.pass ? '' : ' (failed)'}`);
+      counts.cherryPicked++;
+    } else {
+      entry.agent.push(`${result.branch} (${result.backport}${result.pass ? '' : ', failed'})`);
+      counts.agent++;
+    }
+  }
+
+  console.log('');
+  console.log('🍒 BACKPORT');
+  console.log('════════════════════════════════════════');
+  for (const [repo, entry] of repos) {
+    console.log(`${repo}: solved on ${entry.primary ? `${entry.primary.branch}${entry.primary.pass ? '' : ' (failed)'}` : 'an earlier run'}`);
+    if (entry.cherryPicked.length > 0) {
+      console.log(`   🍒 Cherry-picked cleanly: ${entry.cherryPicked.join(', ')}`);
+    }
+    if (entry.agent.length > 0) {
+      console.log(`   🤖 Needed the agent: ${entry.agent.join(', ')}`);
+    }
+  }
+
+  return counts;
+}
 
 /**
  * Execute tasks with concurrency control using git worktrees
- * Logs are saved to execution.log in each task directory
+ * Logs are saved to execution.log in each task directory. Tasks that fail
+ * without a finished agent session are retried with exponential backoff.
+ * Progress is shown on a live dashboard, see createDashboard().
  * @param {string[]} taskFiles - Array of task file paths
  * @param {number} maxJobs - Maximum concurrent jobs
- * @returns {Object} Execution results {successful, failed, results}
+ * @param {Object} options - Execution options
+ * @param {string[]} [options.runTaskFiles] - Every task file of the run, of which taskFiles may be a subset (default: taskFiles)
+ * @param {number} options.maxRetries - Automatic retries per task (0 disables retries)
+ * @param {number} options.retryDelay - Base backoff delay in seconds, doubled per retry
+ * @param {number} options.taskTimeout - Seconds before a running agent is killed (0 disables the timeout)
+ * @param {Object} options.tracker - Run state tracker from createRunStateTracker()
+ * @param {Object} options.agent - Agent profile from resolveAgent()
+ * @param {Object} [options.backport] - Backport settings {primary, verify}, see scheduleBackportTasks()
+ * @param {Object} [options.hooks] - Hooks from resolveHooks(), run around each task
+ * @param {string[]} [options.verify] - Verification commands run after each passing agent run
+ * @param {number} [options.verifyRounds] - Fix-it rounds after a failed verification
+ * @param {Object} [options.ledger] - Usage ledger from createUsageLedger(); tasks that need the agent are skipped once their or the run budget is exhausted
+ * @returns {Object} Execution results {successful, failed, timedOut, interrupted, notStarted, skippedBudget, outcomes, backport, usage, results}
  */
-export async function executeWithConcurrency(taskFiles, maxJobs = 4) {
+export async function executeWithConcurrency(taskFiles, maxJobs = 4, { runTaskFiles = taskFiles, maxRetries = 0, retryDelay = 30, taskTimeout = 0, tracker = null, agent = resolveAgent({}), backport = null, hooks = {}, verify = [], verifyRounds = 0, ledger = createUsageLedger() } = {}) {
   if (maxJobs === 1) {
     console.log(`🔄 Running in sequential mode (concurrency limit: 1)`);
   } else {
     console.log(`🚀 Running with concurrency limit: ${maxJobs} parallel tasks`);
     console.log(`🌲 Using git worktrees for true parallelization across all tasks`);
   }
+  if (maxRetries > 0) {
+    console.log(`🔁 Retrying transient failures up to ${maxRetries} time(s) (backoff starts at ${retryDelay}s)`);
+  }
+  if (taskTimeout > 0) {
+    console.log(`⏰ Task timeout: ${formatDuration(taskTimeout)}`);
+  }
+  if (verify.length > 0) {
+    console.log(`🧪 Verifying passing runs with ${verify.length} command(s), up to ${verifyRounds} fix-it round(s)`);
+  }
 
   // Create concurrency limiter
   const limit = pLimit(maxJobs);
@@ -158,36 +744,124 @@ export async function executeWithConcurrency(taskFiles, maxJobs = 4) {
   const allResults = [];
   let successful = 0;
   let failed = 0;
+  let timedOut = 0;
+  let interrupted = 0;
+  let notStarted = 0;
+  let skippedBudget = 0;
+  const outcomes = Object.fromEntries(Object.values(TaskOutcome).map(outcome => [outcome, 0]));
+  const dashboard = createDashboard(taskFiles.map(taskFile => path.basename(path.dirname(taskFile))), { maxJobs });
 
-  // Process all tasks with concurrency limit
-  const taskPromises = taskFiles.map((taskFile) => {
-    return limit(async () => {
-      const taskDir = path.dirname(taskFile);
-      const taskName = path.basename(taskDir);
-      const logFile = path.join(taskDir, 'execution.log');
+  // Run one task, with automatic retries, and count its result
+  const processTask = async (taskFile, { withoutAgent = null, backportMode = null } = {}) => {
+    const taskDir = path.dirname(taskFile);
+    const taskName = path.basename(taskDir);
+    const logFile = path.join(taskDir, 'execution.log');
+    const previousAttempts = tracker?.state.tasks[taskName]?.attempts || 0;
 
-      console.log(`🚀 Starting task: ${taskName}`);
+    // Stop scheduling once a shutdown was requested; the task stays pending for --resume
+    if (shutdownState.requested) {
+      notStarted++;
+      dashboard.update(taskName, { notStarted: true });
+      return { taskName, status: TaskStatus.PENDING, pass: false, notStarted: true };
+    }
 
-      const result = await runTask(taskFile, logFile);
+    // Tasks that need the agent are skipped once the run budget or their own
+    // budget (spent by an earlier invocation) is gone; --resume picks them up
+    if (!withoutAgent && ledger.exhausted(taskName)) {
+      const summary = `Not started: ${ledger.exhausted(taskName)}`;
+      skippedBudget++;
+      console.log(`💸 Skipping ${taskName}: ${ledger.exhausted(taskName)}`);
+      await tracker?.update(taskName, { status: TaskStatus.SKIPPED_BUDGET, summary, finishedAt: new Date().toISOString() });
+      dashboard.update(taskName, { status: TaskStatus.SKIPPED_BUDGET, summary });
+      return { taskName, status: TaskStatus.SKIPPED_BUDGET, pass: false, skippedBudget: true, summary };
+    }
 
-      if (result.success) {
-        successful++;
-        console.log(`✅ Task completed: ${taskName}`);
-      } else {
-        failed++;
-        console.log(`❌ Task failed: ${taskName}`);
+    console.log(`🚀 Starting task: ${taskName}`);
+
+    let result;
+    for (let retry = 0; retry <= maxRetries; retry++) {
+      const attempt = previousAttempts + retry + 1;
+
+      if (retry > 0) {
+        const exhausted = ledger.exhausted(taskName);
+        if (exhausted) {
+          console.log(`💸 Not retrying ${taskName}: ${exhausted}`);
+          break;
+        }
+        const delay = retryDelay * 2 ** (retry - 1);
+        console.log(`🔁 Retrying ${taskName} in ${delay}s (retry ${retry}/${maxRetries})...`);
+        await interruptibleSleep(delay * 1000);
+        if (shutdownState.requested) {
+          result = { ...result, status: TaskStatus.INTERRUPTED };
+          break;
+        }
       }
+      await archiveAttemptLog(logFile, attempt - 1);
 
-      return result;
+      await tracker?.update(taskName, {
+        status: TaskStatus.RUNNING,
+        attempts: attempt,
+        startedAt: new Date().toISOString(),
+      });
+      dashboard.update(taskName, { status: TaskStatus.RUNNING, attempt, logFile });
+
+      result = await runTask(taskFile, logFile, { attempt, taskTimeout, agent, withoutAgent, backport: backportMode, hooks, verify, verifyRounds, ledger });
+
+      if (result.pass || !result.retryable || shutdownState.requested) {
+        break;
+      }
+    }
+
+    await tracker?.update(taskName, {
+      status: result.status,
+      outcome: result.outcome,
+      summary: result.summary,
+      finishedAt: new Date().toISOString(),
     });
-  });
 
-  // Wait for all tasks to complete
-  console.log(`⏳ Waiting for all ${taskFiles.length} tasks to complete...`);
-  const results = await Promise.all(taskPromises);
-  allResults.push(...results);
+    dashboard.update(taskName, { status: result.status, duration: result.duration || 0, summary: result.summary });
+
+    if (result.outcome) {
+      outcomes[result.outcome]++;
+    }
+
+    if (result.status === TaskStatus.PASSED) {
+      successful++;
+      console.log(`✅ Task completed: ${taskName}`);
+    } else if (result.status === TaskStatus.TIMED_OUT) {
+      timedOut++;
+      console.log(`⏰ Task timed out: ${taskName}`);
+    } else if (result.status === TaskStatus.INTERRUPTED) {
+      interrupted++;
+      console.log(`🛑 Task interrupted: ${taskName}`);
+    } else {
+      failed++;
+      console.log(`❌ Task failed: ${taskName}`);
+    }
+
+    return result;
+  };
+
+  let results;
+  try {
+    // Process all tasks with concurrency limit
+    const taskPromises = backport
+      ? await scheduleBackportTasks(taskFiles, backport, { runTaskFiles, limit, processTask, taskTimeout })
+      : taskFiles.map(taskFile => limit(() => processTask(taskFile)));
 
-  console.log('🎉 All tasks completed');
+    // Wait for all tasks to complete
+    console.log(`⏳ Waiting for all ${taskFiles.length} tasks to complete...`);
+    results = await Promise.all(taskPromises);
+  } finally {
+    dashboard.stop();
+  }
+  allResults.push(...results.sort((a, b) => a.taskName.localeCompare(b.taskName)));
+
+  if (shutdownState.requested) {
+    console.log('🛑 Execution stopped by shutdown request');
+  } else {
+    console.log('🎉 All tasks completed');
+  }
 
   // Print results summary
   console.log('');
@@ -195,28 +869,85 @@ export async function executeWithConcurrency(taskFiles, maxJobs = 4) {
   console.log('════════════════════════════════════════');
 
   for (const result of allResults) {
-    if (result.success) {
-      console.log(`✅ ${result.taskName} (${result.formattedDuration}) - 📄 Log: ${result.logFile}`);
+    const attempts = result.attempt > 1 ? ` [attempt ${result.attempt}]` : '';
+    const cost = result.usage ? ` 💰 ${formatCost(result.usage.costUsd)}` : '';
+    if (result.notStarted) {
+      console.log(`⏭️  ${result.taskName} - not started`);
+    } else if (result.skippedBudget) {
+      console.log(`💸 ${result.taskName} - skipped over budget`);
+    } else if (result.pass) {
+      console.log(`✅ ${result.taskName} (${result.formattedDuration})${attempts}${cost} [${result.outcome || 'unknown'}] - 📄 Log: ${result.logFile}`);
+      if (result.prUrl) {
+        console.log(`   PR: ${result.prUrl}`);
+      }
     } else {
-      console.log(`❌ ${result.taskName} (${result.formattedDuration}) - 📄 Log: ${result.logFile || 'N/A'}`);
-      if (result.error) {
-        console.log(`   Error: ${result.error}`);
+      const icon = { [TaskStatus.TIMED_OUT]: '⏰', [TaskStatus.INTERRUPTED]: '🛑' }[result.status] || '❌';
+      const outcome = result.outcome ? ` [${result.outcome}]` : '';
+      console.log(`${icon} ${result.taskName} (${result.formattedDuration})${attempts}${cost}${outcome} - 📄 Log: ${result.logFile || 'N/A'}`);
+      if (result.summary) {
+        console.log(`   Reason: ${result.summary}`);
       }
     }
   }
 
   console.log('');
-  console.log(`📊 Result summary: ${successful} successful, ${failed} failed (total processed: ${allResults.length})`);
+  console.log(`📊 Result summary: ${successful} successful, ${failed} failed, ${timedOut} timed out, ${interrupted} interrupted, ${notStarted} not started, ${skippedBudget} skipped over budget (total: ${allResults.length})`);
+  console.log(`📊 Outcomes: ${Object.entries(outcomes).map(([outcome, count]) => `${count} ${outcome}`).join(', ')}`);
 
-  return { successful, failed, results: allResults };
+  console.log(`💰 Usage: ${formatUsage(ledger.total())}`);
+
+  const backportCounts = backport ? printBackportSummary(allResults) : null;
+
+  return { successful, failed, timedOut, interrupted, notStarted, skippedBudget, outcomes, backport: backportCounts, usage: ledger.total(), results: allResults };
+}
+
+/**
+ * Collect the results of every task of a run
+ * --retry-failed and --resume only run some tasks; the others keep the
+ * result.json of the invocation that ran them. Tasks that never finished are
+ * described by their task.md and run state status.
+ * @param {string[]} taskFiles - task.md of every task in the run
+ * @param {Array} results - Results of the tasks this invocation ran
+ * @param {Object} state - Run state from loadRunState()
+ * @returns {Array} Task results, sorted by task name
+ */
+async function collectRunResults(taskFiles, results, state) {
+  const fresh = new Map(results.map(result => [result.taskName, result]));
+  const runResults = [];
+
+  for (const taskFile of taskFiles) {
+    const taskDir = path.dirname(taskFile);
+    const taskName = path.basename(taskDir);
+    const result = fresh.get(taskName);
+    if (result && !result.notStarted && !result.skippedBudget) {
+      runResults.push(result);
+      continue;
+    }
+
+    const recorded = result ? null : await readTaskResult(taskDir);
+    if (recorded) {
+      runResults.push(recorded);
+      continue;
+    }
+
+    const { org, repo, branch } = await extractTaskInfo(taskFile);
+    const status = result?.status || state.tasks[taskName]?.status || TaskStatus.PENDING;
+    runResults.push({ taskName, status, org, repo, branch, pass: false, summary: result?.summary || state.tasks[taskName]?.summary || null });
+  }
+
+  return runResults.sort((a, b) => a.taskName.localeCompare(b.taskName));
 }
 
 /**
  * Execute all tasks
- * Logs are saved to execution.log in each task directory
+ * Logs are saved to execution.log in each task directory and every task's
+ * outcome is recorded in the run state file, which --retry-failed and
+ * --resume use to pick the tasks to run. The run ends with report.html and
+ * report.md in the output directory, see writeRunReport(), and the postRun
+ * hook.
  * @param {string} outputDir - Output directory containing task files
  * @param {Object} config - Configuration object
- * @returns {Object} Execution results {successful, failed, totalTasks}
+ * @returns {Object} Execution results {successful, failed, timedOut, interrupted, notStarted, skippedBudget, outcomes, backport, usage, stopped, totalTasks, report}
  */
 export async function executeTasks(outputDir, config) {
   // Check if tasks directory exists
@@ -226,7 +957,7 @@ export async function executeTasks(outputDir, config) {
 
   // Get all task.md files from subdirectories
   const allItems = await fs.readdir(outputDir);
-  const taskFiles = [];
+  const allTaskFiles = [];
 
   for (const item of allItems) {
     const itemPath = path.join(outputDir, item);
@@ -235,41 +966,163 @@ export async function executeTasks(outputDir, config) {
     if (stats.isDirectory()) {
       const taskFilePath = path.join(itemPath, 'task.md');
       if (await fs.pathExists(taskFilePath)) {
-        taskFiles.push(taskFilePath);
+        allTaskFiles.push(taskFilePath);
       }
     }
   }
 
-  taskFiles.sort();
+  allTaskFiles.sort();
 
-  if (taskFiles.length === 0) {
+  if (allTaskFiles.length === 0) {
     throw new Error(`No task.md files found in ${outputDir}. Please ensure task generation was successful`);
   }
 
-  console.log(`📁 Found ${taskFiles.length} task directories to process`);
+  console.log(`📁 Found ${allTaskFiles.length} task directories`);
+
+  // Pick the tasks to run from the previous run state
+  const runState = await loadRunState(outputDir);
+  const taskFiles = selectTaskFiles(allTaskFiles, runState, config);
+
+  if (config.retryFailed) {
+    console.log(`🔁 Retrying ${taskFiles.length} failed task(s) from ${path.join(outputDir, STATE_FILE)}`);
+  } else if (config.resume) {
+    console.log(`⏯️  Resuming ${taskFiles.length} unfinished task(s) from ${path.join(outputDir, STATE_FILE)}`);
+  }
 
   const executionStartTimestamp = formatTimestamp();
   const executionStartTime = Date.now();
 
+  if (taskFiles.length === 0) {
+    console.log('✅ Nothing to run');
+    return {
+      successful: 0,
+      failed: 0,
+      timedOut: 0,
+      interrupted: 0,
+      notStarted: 0,
+      skippedBudget: 0,
+      outcomes: {},
+      backport: null,
+      usage: null,
+      totalTasks: 0,
+      startTimestamp: executionStartTimestamp,
+      endTimestamp: executionStartTimestamp,
+      duration: formatDuration(0),
+      outputDir: outputDir,
+    };
+  }
+
+  // Mark selected tasks pending before anything starts, so an interrupted run can be resumed
+  const tracker = createRunStateTracker(outputDir, runState);
+  for (const taskFile of taskFiles) {
+    const taskName = path.basename(path.dirname(taskFile));
+    const { attempts = 0 } = tracker.state.tasks[taskName] || {};
+    await tracker.update(taskName, { status: TaskStatus.PENDING, attempts });
+  }
+
   console.log('🚀 Starting task execution...');
   console.log(`🕰️  Execution started at: ${executionStartTimestamp}`);
   console.log(`📁 Logs will be saved to execution.log in each task directory`);
 
+  const agent = resolveAgent(config);
+  console.log(`🤖 Agent: ${agent.name} (${agent.command}${agent.model ? `, model ${agent.model}` : ''})`);
+
+  const hooks = await resolveHooks(config.bundle, config.hooks);
+  if (hasHooks(hooks)) {
+    console.log(`🪝 Hooks: ${Object.keys(hooks).filter(name => hooks[name].length > 0).join(', ')}`);
+  }
+
+  // What earlier invocations on this run (e.g. before --resume) spent counts against the limits
+  const ledger = createUsageLedger({ maxCostPerTask: config.maxCostPerTask, maxCostPerRun: config.maxCostPerRun });
+  for (const taskFile of allTaskFiles) {
+    const taskName = path.basename(path.dirname(taskFile));
+    ledger.record(taskName, (await readTaskResult(path.dirname(taskFile)))?.usage);
+  }
+  if (config.maxCostPerTask > 0 || config.maxCostPerRun > 0) {
+    const limits = [
+      config.maxCostPerTask > 0 ? `${formatCost(config.maxCostPerTask)} per task` : null,
+      config.maxCostPerRun > 0 ? `${formatCost(config.maxCostPerRun)} per run` : null,
+    ].filter(Boolean);
+    const spent = ledger.total() ? ` (${formatCost(ledger.total().costUsd)} already spent in this run)` : '';
+    console.log(`💸 Budget: ${limits.join(', ')}${spent}`);
+  }
+  // Without a budget option the agent cannot be stopped mid-session; the limits then apply between sessions only
+  if ((config.maxCostPerTask > 0 || config.maxCostPerRun > 0) && !agent.budgetArg) {
+    console.warn(`⚠️  Warning: agent '${agent.name}' has no budgetArg, so cost limits are only checked between agent sessions`);
+  }
+
   // Execute all tasks with concurrency control
-  const result = await executeWithConcurrency(taskFiles, config.maxJobs);
+  shutdownState.gracePeriod = config.shutdownGracePeriod;
+  const result = await executeWithConcurrency(taskFiles, config.maxJobs, {
+    runTaskFiles: allTaskFiles,
+    maxRetries: config.maxRetries,
+    retryDelay: config.retryDelay,
+    taskTimeout: config.taskTimeout,
+    tracker,
+    agent,
+    // Cherry-picks are verified with the top-level commands unless backport mode has its own
+    backport: config.backport && { ...config.backport, verify: config.backport.verify ?? config.verify },
+    hooks,
+    verify: config.verify,
+    verifyRounds: config.verifyRounds,
+    ledger,
+  });
+  await tracker.flush();
 
   const executionEndTimestamp = formatTimestamp();
   const executionEndTime = Date.now();
   const totalDuration = calculateDuration(executionStartTime, executionEndTime);
   const formattedTotalDuration = formatDuration(totalDuration);
 
+  // The report and postRun cover the whole run, not just the tasks run now
+  const runResults = await collectRunResults(allTaskFiles, result.results, tracker.state);
+
+  // A broken report must not turn a finished run into a failure
+  let report = null;
+  try {
+    report = await writeRunReport(outputDir, {
+      bundleName: config.bundle ? path.basename(path.resolve(config.bundle)) : path.basename(path.resolve(outputDir)),
+      config,
+      startTimestamp: executionStartTimestamp,
+      endTimestamp: executionEndTimestamp,
+      duration: formattedTotalDuration,
+      results: runResults,
+    });
+  } catch (error) {
+    console.error(`⚠️  Warning: Could not write the run report: ${error.message}`);
+  }
+
+  // Run-level cleanup and artifact collection, after the report so it can be collected too
+  const postRun = await runHook('postRun', hooks.postRun, {
+    cwd: outputDir,
+    logFile: path.join(outputDir, RUN_HOOKS_LOG),
+    env: runHookEnvironment({ bundleDir: config.bundle, runDir: outputDir }, {
+      total: runResults.length,
+      passed: runResults.filter(entry => entry.status === TaskStatus.PASSED).length,
+      failed: runResults.filter(entry => [TaskStatus.FAILED, TaskStatus.TIMED_OUT, TaskStatus.INTERRUPTED].includes(entry.status)).length,
+    }),
+    supervise: processPromise => superviseProcess(processPromise, { deadline: taskDeadline(config.taskTimeout) }),
+  });
+  if (!postRun.pass) {
+    console.warn(`⚠️  Warning: postRun hook failed: ${postRun.command} (exit ${postRun.exitCode}), see ${path.join(outputDir, RUN_HOOKS_LOG)}`);
+  }
+
   return {
     successful: result.successful,
     failed: result.failed,
+    timedOut: result.timedOut,
+    interrupted: result.interrupted,
+    notStarted: result.notStarted,
+    skippedBudget: result.skippedBudget,
+    outcomes: result.outcomes,
+    backport: result.backport,
+    usage: result.usage,
+    stopped: shutdownState.requested,
     totalTasks: taskFiles.length,
     startTimestamp: executionStartTimestamp,
     endTimestamp: executionEndTimestamp,
     duration: formattedTotalDuration,
     outputDir: outputDir,
+    report,
   };
 }
@@ -0,0 +1,175 @@
+#!/usr/bin/env zx
+
+import { fs, path } from 'zx';
+import { runShellCommands } from './verify.mjs';
+
+/**
+ * Lifecycle hooks, in the order they run
+ * preGenerate: once, before the run directory is created (in the bundle directory)
+ * preTask: in the worktree before the agent; a failure skips the agent
+ * postTask: in the worktree after the task finished, with its result
+ * postRun: once, after all tasks finished (in the run directory)
+ */
+export const HOOK_NAMES = ['preGenerate', 'preTask', 'postTask', 'postRun'];
+
+/**
+ * Directory in a bundle holding hook scripts, named after the hook (e.g. hooks/preTask.sh)
+ */
+export const HOOKS_DIR = 'hooks';
+
+/**
+ * Log file of the run-level hooks (preGenerate, postRun), in the run directory
+ */
+export const RUN_HOOKS_LOG = 'hooks.log';
+
+/**
+ * Validate the config.json "hooks" section
+ * @param {Object} hooks - Hooks {name: command or list of commands}
+ * @param {string} source - Where the settings came from, for error messages
+ * @throws {Error} If the settings are malformed
+ */
+export function validateHooksConfig(hooks, source) {
+  if (!hooks || typeof hooks !== 'object' || Array.isArray(hooks)) {
+    throw new Error(`${source}: must be an object`);
+  }
+
+  for (const [name, commands] of Object.entries(hooks)) {
+    if (!HOOK_NAMES.includes(name)) {
+      throw new Error(`${source}: unknown hook '${name}' (expected: ${HOOK_NAMES.join(', ')})`);
+    }
+    if (typeof commands !== 'string' && (!Array.isArray(commands) || commands.some(command => typeof command !== 'string'))) {
+      throw new Error(`${source}: '${name}' must be a shell command or a list of shell commands`);
+    }
+  }
+}
+
+/**
+ * Quote a path for `sh -c`
+ * @param {string} value - Path
+ * @returns {string} Single-quoted path
+ */
+function shellQuote(value) {
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Collect the commands of every hook of a bundle
+ * A script in the bundle's hooks/ directory named after the hook (with or
+ * without an extension) runs first: directly when it is executable, with sh
+ * otherwise. The config.json "hooks" commands follow.
+ * @param {string} bundleDir - Bundle directory
+ * @param {Object} [hooksConfig] - The config.json "hooks" section
+ * @returns {Object} Commands by hook name {preGenerate: [], preTask: [], postTask: [], postRun: []}
+ */
+export async function resolveHooks(bundleDir, hooksConfig = null) {
+  const hooksDir = bundleDir ? path.resolve(bundleDir, HOOKS_DIR) : null;
+  const scripts = hooksDir && (await fs.pathExists(hooksDir)) ? (await fs.readdir(hooksDir)).sort() : [];
+  const hooks = {};
+
+  for (const name of HOOK_NAMES) {
+    const commands = [];
+    const script = scripts.find(entry => entry === name || entry.startsWith(`${name}.`));
+    if (script) {
+      const scriptPath = path.join(hooksDir, script);
+      const executable = await fs.access(scriptPath, fs.constants.X_OK).then(() => true, () => false);
+      commands.push(executable ? shellQuote(scriptPath) : `sh ${shellQuote(scriptPath)}`);
+    }
+    commands.push(...[].concat(hooksConfig?.[name] || []));
+    hooks[name] = commands;
+  }
+
+  return hooks;
+}
+
+/**
+ * Check whether a bundle defines any hook
+ * @param {Object} hooks - Hooks from resolveHooks()
+ * @returns {boolean} True if at least one hook has commands
+ */
+export function hasHooks(hooks) {
+  return Boolean(hooks) && HOOK_NAMES.some(name => hooks[name]?.length > 0);
+}
+
+/**
+ * Build the environment variables of a task hook
+ * @param {Object} task - Task info from extractTaskInfo()
+ * @param {Object} [result] - Task result, for postTask
+ * @returns {Object} Environment {TASK_NAME, TASK_DIR, TASK_REPO_DIR, TASK_ORG, TASK_REPO, TASK_BRANCH, TASK_BUNDLE, and for postTask TASK_STATUS, TASK_PASS, TASK_OUTCOME, TASK_SUMMARY, TASK_PR_URL}
+ */
+export function taskHookEnvironment(task, result = null) {
+  const env = {
+    TASK_NAME: path.basename(task.taskDirPath),
+    TASK_DIR: path.resolve(task.taskDirPath),
+    TASK_REPO_DIR: path.resolve(task.repoCodePath),
+    TASK_ORG: task.org || '',
+    TASK_REPO: task.repo || '',
+    TASK_BRANCH: task.branch || '',
+    TASK_BUNDLE: task.bundle || '',
+  };
+
+  if (result) {
+    Object.assign(env, {
+      TASK_STATUS: result.status || '',
+      TASK_PASS: result.pass ? 'true' : 'false',
+      TASK_OUTCOME: result.outcome || '',
+      TASK_SUMMARY: result.summary || '',
+      TASK_PR_URL: result.prUrl || '',
+    });
+  }
+
+  return env;
+}
+
+/**
+ * Build the environment variables of a run hook
+ * @param {Object} run - Run {bundleDir, runDir}; runDir is null before the run exists (preGenerate)
+ * @param {Object} [counts] - Task counts, for postRun {total, passed, failed}
+ * @returns {Object} Environment {BUNDLE_NAME, BUNDLE_DIR, RUN_DIR, and for postRun RUN_TOTAL, RUN_PASSED, RUN_FAILED}
+ */
+export function runHookEnvironment({ bundleDir, runDir }, counts = null) {
+  const env = {
+    BUNDLE_NAME: bundleDir ? path.basename(path.resolve(bundleDir)) : '',
+    BUNDLE_DIR: bundleDir ? path.resolve(bundleDir) : '',
+    RUN_DIR: runDir ? path.resolve(runDir) : '',
+  };
+
+  if (counts) {
+    Object.assign(env, {
+      RUN_TOTAL: String(counts.total),
+      RUN_PASSED: String(counts.passed),
+      RUN_FAILED: String(counts.failed),
+    });
+  }
+
+  return env;
+}
+
+/**
+ * Run the commands of one hook, stopping at the first failure
+ * The output goes to the log file, after a line naming the hook. Every hook
+ * gets HOOK_NAME in its environment.
+ * @param {string} name - Hook name, one of HOOK_NAMES
+ * @param {string[]} commands - Commands from resolveHooks()
+ * @param {Object} options - Run options
+ * @param {string} options.cwd - Directory to run in
+ * @param {string} options.logFile - Log file the output is appended to
+ * @param {Object} [options.env] - Extra environment variables
+ * @param {Function} [options.supervise] - Waits for a running process, see runShellCommands()
+ * @returns {Object} Hook result {pass, command, exitCode, output, timedOut, interrupted}; passes when there are no commands
+ */
+export async function runHook(name, commands, { cwd, logFile, env = {}, supervise = null }) {
+  if (!commands?.length) {
+    return { pass: true, command: null, exitCode: 0, output: '', timedOut: false, interrupted: false };
+  }
+
+  await fs.ensureDir(path.dirname(logFile));
+  await fs.appendFile(logFile, `🪝 ${name} hook\n`, 'utf-8');
+  const result = await runShellCommands(cwd, commands, logFile, { env: { ...env, HOOK_NAME: name }, label: `🪝 ${name}:`, supervise });
+
+  if (result.timedOut) {
+    console.log(`   ⏰ ${name} hook timed out: ${result.command}`);
+  } else if (!result.pass) {
+    console.log(`   ❌ ${name} hook failed: ${result.command} (exit ${result.exitCode})`);
+  }
+  return result;
+}
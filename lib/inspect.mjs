@@ -0,0 +1,113 @@
+#!/usr/bin/env zx
+
+import { $ } from 'zx';
+import { TaskOutcome } from './state.mjs';
+
+/**
+ * Run a git command in a worktree and return its trimmed output
+ * @param {string} repoCodePath - Worktree path
+ * @param {string[]} args - git arguments
+ * @returns {string|null} Output, or null if the command failed
+ */
+async function git(repoCodePath, args) {
+  const result = await $`git -C ${repoCodePath} ${args}`.nothrow();
+  return result.exitCode === 0 ? result.stdout.trim() : null;
+}
+
+/**
+ * Inspect what an agent actually left in a task worktree
+ * New commits are counted from `upstream/<branch>` to the feature branch (or
+ * HEAD), every new commit must carry a Signed-off-by trailer as GUIDE.md
+ * requires, the feature branch is looked up on origin with `git ls-remote`,
+ * and `git status` reveals uncommitted changes.
+ * The outcome is the furthest step reached: pr_opened, pushed, changed,
+ * dirty (uncommitted changes only) or no_changes.
+ * @param {string} repoCodePath - Worktree path
+ * @param {Object} context - What the task and agent reported
+ * @param {string} context.branch - Target (base) branch
+ * @param {string} [context.featureBranch] - Feature branch reported by the agent
+ * @param {string} [context.prUrl] - Pull request URL reported by the agent
+ * @returns {Object} Inspection {outcome, baseRef, headRef, baseSha, headSha, commits, unsignedCommits, pushed, pushedUpToDate, dirtyFiles}
+ */
+export async function inspectWorktree(repoCodePath, { branch, featureBranch = null, prUrl = null }) {
+  let baseRef = `upstream/${branch}`;
+  if ((await git(repoCodePath, ['rev-parse', '--verify', '--quiet', baseRef])) === null) {
+    baseRef = `origin/${branch}`;
+  }
+
+  // Prefer the reported feature branch; the agent may have switched away from it
+  let headRef = 'HEAD';
+  if (featureBranch && (await git(repoCodePath, ['rev-parse', '--verify', '--quiet', `refs/heads/${featureBranch}`])) !== null) {
+    headRef = featureBranch;
+  }
+  const headBranch = headRef === 'HEAD' ? await git(repoCodePath, ['symbolic-ref', '--short', '--quiet', 'HEAD']) : headRef;
+
+  const commitList = await git(repoCodePath, ['rev-list', `${baseRef}..${headRef}`]);
+  const commits = commitList ? commitList.split('\n') : [];
+
+  const unsignedCommits = [];
+  for (const sha of commits) {
+    const message = await git(repoCodePath, ['log', '-1', '--format=%B', sha]);
+    if (!/^Signed-off-by: .+$/m.test(message || '')) {
+      unsignedCommits.push(sha.substring(0, 12));
+    }
+  }
+
+  let pushed = false;
+  let pushedUpToDate = false;
+  if (headBranch && commits.length > 0) {
+    const remote = await git(repoCodePath, ['ls-remote', '--heads', 'origin', headBranch]);
+    const remoteSha = remote ? remote.split('\t')[0] : null;
+    pushed = Boolean(remoteSha);
+    pushedUpToDate = pushed && remoteSha === (await git(repoCodePath, ['rev-parse', headRef]));
+  }
+
+  const status = await git(repoCodePath, ['status', '--porcelain']);
+  const dirtyFiles = status ? status.split('\n').map(line => line.substring(3)) : [];
+
+  let outcome = TaskOutcome.NO_CHANGES;
+  if (prUrl) {
+    outcome = TaskOutcome.PR_OPENED;
+  } else if (pushed) {
+    outcome = TaskOutcome.PUSHED;
+  } else if (commits.length > 0) {
+    outcome = TaskOutcome.CHANGED;
+  } else if (dirtyFiles.length > 0) {
+    outcome = TaskOutcome.DIRTY;
+  }
+
+  return {
+    outcome,
+    baseRef,
+    headRef: headBranch || headRef,
+    baseSha: await git(repoCodePath, ['rev-parse', '--verify', '--quiet', baseRef]),
+    headSha: await git(repoCodePath, ['rev-parse', '--verify', '--quiet', headRef]),
+    commits: commits.length,
+    unsignedCommits,
+    pushed,
+    pushedUpToDate,
+    dirtyFiles,
+  };
+}
+
+/**
+ * Describe the problems an inspection found, for logs and summaries
+ * @param {Object} inspection - Inspection from inspectWorktree()
+ * @returns {string[]} Warnings, empty if everything looks right
+ */
+export function describeInspectionWarnings(inspection) {
+  const warnings = [];
+
+  if (inspection.unsignedCommits.length > 0) {
+    warnings.push(`${inspection.unsignedCommits.length} commit(s) without Signed-off-by: ${inspection.unsignedCommits.join(', ')}`);
+  }
+  if (inspection.pushed && !inspection.pushedUpToDate) {
+    warnings.push(`origin/${inspection.headRef} differs from the local branch`);
+  }
+  if (inspection.dirtyFiles.length > 0) {
+    const shown = inspection.dirtyFiles.slice(0, 5).join(', ');
+    warnings.push(`${inspection.dirtyFiles.length} uncommitted change(s) left behind: ${shown}${inspection.dirtyFiles.length > 5 ? ', ...' : ''}`);
+  }
+
+  return warnings;
+}
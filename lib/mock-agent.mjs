@@ -0,0 +1,129 @@
+#!/usr/bin/env zx
+
+/**
+ * Scripted stand-in for a coding agent, used by the built-in "mock" agent profile
+ * Runs in the task's repository code directory, commits a canned change on a
+ * mock-agent/<branch> branch (or the task's managed feature branch) and
+ * reports the outcome in the same stream-json format as
+ * `claude --output-format stream-json`, so bundles and the orchestrator can
+ * be rehearsed offline. Nothing is pushed.
+ *
+ * Usage: mock-agent.mjs [--patch FILE] [--fail] [--delay SEC] [--cost USD] [--max-budget-usd USD] [PROMPT_FILE]
+ *   --patch FILE  Apply FILE with `git apply` instead of the built-in change
+ *                 (relative paths resolve against the directory the orchestrator runs in)
+ *   --fail        Report a failed task without changing anything
+ *   --delay SEC   Sleep before working, e.g. to rehearse task timeouts
+ *   --cost USD    Cost to report for the run, e.g. to rehearse budget limits (default: 0)
+ *   --max-budget-usd USD  Stop like claude does when --cost exceeds USD, reporting an error result
+ *   PROMPT_FILE   Task prompt; read from stdin when omitted
+ */
+
+import { $, fs, path, minimist, sleep } from 'zx';
+
+$.verbose = false;
+
+const options = minimist(process.argv.slice(2), { string: ['patch'], boolean: ['fail'] });
+const sessionId = `mock-${Date.now()}`;
+
+/**
+ * Write one stream-json message to stdout
+ * @param {Object} message - Message object
+ */
+function emit(message) {
+  process.stdout.write(`${JSON.stringify(message)}\n`);
+}
+
+/**
+ * Emit the final result message with a JSON report and exit
+ * @param {boolean} pass - Whether the task succeeded
+ * @param {string} summary - Short summary
+ * @param {string} branch - Feature branch name, or empty
+ */
+function finish(pass, summary, branch = '') {
+  const report = { pass: pass ? 'yes' : 'no', result: summary, pr_url: '', branch };
+  emit({
+    type: 'result',
+    subtype: 'success',
+    is_error: false,
+    session_id: sessionId,
+    num_turns: 1,
+    total_cost_usd: Number(options.cost || 0),
+    usage: { input_tokens: Math.ceil(prompt.length / 4), output_tokens: Math.ceil(summary.length / 4) },
+    result: `${summary}\n\n\`\`\`json\n${JSON.stringify(report)}\n\`\`\``,
+  });
+  process.exit(0);
+}
+
+/**
+ * Read the task prompt from the prompt file or stdin
+ * @returns {string} Prompt text
+ */
+async function readPrompt() {
+  const promptFile = options._[0];
+  if (promptFile) {
+    return fs.readFile(promptFile, 'utf-8');
+  }
+
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf-8');
+}
+
+const prompt = await readPrompt();
+const title = (prompt.match(/^#\s+(.+)$/m) || [])[1] || 'Task';
+
+emit({ type: 'system', subtype: 'init', session_id: sessionId, cwd: process.cwd(), model: 'mock' });
+emit({ type: 'assistant', session_id: sessionId, message: { role: 'assistant', content: [{ type: 'text', text: `Mock agent working on: ${title}` }] } });
+
+if (options.delay) {
+  await sleep(Number(options.delay) * 1000);
+}
+
+// Like claude, stop with an error result once the session budget is spent
+const maxBudget = options['max-budget-usd'] === undefined ? null : Number(options['max-budget-usd']);
+if (maxBudget !== null && Number(options.cost || 0) > maxBudget) {
+  emit({
+    type: 'result',
+    subtype: 'error_max_budget_usd',
+    is_error: true,
+    session_id: sessionId,
+    num_turns: 1,
+    total_cost_usd: maxBudget,
+    usage: { input_tokens: Math.ceil(prompt.length / 4), output_tokens: 0 },
+  });
+  process.exit(1);
+}
+
+if (options.fail) {
+  finish(false, 'Mock agent was configured to fail');
+}
+
+try {
+  // Worktrees are usually detached, so prefer the branch named in the task
+  const baseBranch = (prompt.match(/^- \*\*Branch\*\*: (.+)$/m) || [])[1]?.trim()
+    || (await $`git rev-parse --abbrev-ref HEAD`).stdout.trim();
+  // Use the branch the orchestrator checked out when it manages the pull request
+  const featureBranch = (prompt.match(/^- \*\*Feature Branch\*\*: (.+)$/m) || [])[1]?.trim()
+    || `mock-agent/${baseBranch}`;
+  await $`git checkout -B ${featureBranch}`;
+
+  if (options.patch) {
+    const patchFile = path.resolve(process.env.AGENT_LAUNCH_DIR || process.cwd(), options.patch);
+    await $`git apply ${patchFile}`;
+  } else {
+    await fs.appendFile('MOCK_AGENT.md', `- ${title} (${new Date().toISOString()})\n`);
+  }
+
+  await $`git add -A`;
+  const changed = (await $`git diff --cached --name-only`).stdout.trim().split('\n').filter(Boolean);
+  if (changed.length === 0) {
+    finish(false, 'Mock agent patch produced no changes', featureBranch);
+  }
+
+  await $`git -c user.name=mock-agent -c user.email=mock-agent@localhost commit -q -s -m ${`Mock agent: ${title}`}`;
+  finish(true, `Mock agent committed ${changed.length} changed file(s): ${changed.join(', ')}`, featureBranch);
+} catch (error) {
+  finish(false, `Mock agent could not apply its change: ${(error.stderr || error.message).trim()}`);
+}
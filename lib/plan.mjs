@@ -0,0 +1,169 @@
+#!/usr/bin/env zx
+
+import { fs, chalk } from 'zx';
+import pLimit from 'p-limit';
+import { parseTargetFile, expandBranchPattern, formatTaskDirName } from './taskgen.mjs';
+import { findFlatClone, lsRemoteBranches, resolveFork, workspaceRepoDir } from './repository.mjs';
+import { getProvider, isDefaultProvider } from './providers.mjs';
+
+/**
+ * Plan actions, in the order they are reported
+ */
+export const PlanAction = {
+  CREATE: 'create',
+  SKIP: 'skip',
+  FAIL: 'fail',
+};
+
+/**
+ * Run the read-only checks for one upstream repository
+ * @param {string} org - Organization name
+ * @param {string} repo - Repository name
+ * @param {Object} context - Check context {provider, currentUser, workspaceDir}
+ * @returns {Object} Checks {info, branches, fork}
+ */
+async function checkRepository(org, repo, { provider, currentUser, workspaceDir }) {
+  const info = await provider.getRepositoryInfo(org, repo);
+  if (!info.exists) {
+    return { info, branches: null, fork: null };
+  }
+
+  const branches = await lsRemoteBranches(provider.upstreamUrl(org, repo));
+
+  let fork;
+  if (await fs.pathExists(workspaceRepoDir(workspaceDir, org, repo)) || (await findFlatClone(workspaceDir, org, repo, provider))) {
+    fork = 'cloned';
+  } else if (!currentUser) {
+    fork = 'unknown';
+  } else {
+    const { forkName, exists } = await resolveFork(provider, currentUser, org, repo);
+    fork = `${exists ? 'exists' : 'will fork'}${forkName !== repo ? ` as ${forkName}` : ''}`;
+  }
+
+  return { info, branches, fork };
+}
+
+/**
+ * Build the generation plan without cloning, forking or writing anything
+ * Every org/repo is checked once: the upstream repository must exist and not
+ * be archived, target branches must exist upstream (git ls-remote), and the
+ * fork status is reported. Branch patterns are expanded against the
+ * ls-remote result.
+ * @param {Object} paths - File paths configuration
+ * @param {Object} config - Configuration object
+ * @returns {Array} Plan entries {action, taskDirName, org, repo, branch, provider, fork, notes}
+ */
+export async function planTasks(paths, config) {
+  const { targetFile, workspaceDir } = paths;
+
+  if (!(await fs.pathExists(targetFile))) {
+    throw new Error(`${targetFile} not found`);
+  }
+
+  // Discovery runs like in a generation, not from the last run's cache, so the plan shows what it would create
+  console.log(`📂 Parsing ${targetFile}...`);
+  const targets = await parseTargetFile(targetFile);
+  console.log(`📋 Found ${targets.length} target combinations`);
+
+  // Look up the current user once per provider
+  const providers = new Map(targets.map(target => [getProvider(target.provider), null]));
+  for (const provider of providers.keys()) {
+    try {
+      providers.set(provider, await provider.getCurrentUser());
+    } catch (error) {
+      console.warn(`⚠️  Warning: Could not determine the user on ${provider.label}, fork status will be unknown`);
+    }
+  }
+
+  // Check every repository once, a few at a time
+  const repoKey = target => `${target.provider.type}|${target.provider.host}|${target.org}/${target.repo}`;
+  const repoTargets = new Map(targets.map(target => [repoKey(target), target]));
+  console.log(`🔍 Checking ${repoTargets.size} repositories...`);
+
+  const limit = pLimit(config.maxJobs || 4);
+  const checks = new Map(await Promise.all([...repoTargets].map(([key, { org, repo, provider: spec }]) => limit(async () => {
+    const provider = getProvider(spec);
+    return [key, await checkRepository(org, repo, { provider, currentUser: providers.get(provider), workspaceDir })];
+  }))));
+
+  const entries = [];
+  const planned = new Set();
+  let taskCounter = 1;
+
+  for (const target of targets) {
+    const { org, repo } = target;
+    const { info, branches, fork } = checks.get(repoKey(target));
+    const label = target.branch || target.branchPattern.pattern;
+    const entry = { taskDirName: null, org, repo, branch: label, provider: target.provider, fork };
+
+    if (!info.exists) {
+      entries.push({ ...entry, action: PlanAction.FAIL, notes: 'upstream repository not found' });
+      continue;
+    }
+    if (info.isArchived) {
+      entries.push({ ...entry, action: PlanAction.FAIL, notes: 'upstream repository is archived' });
+      continue;
+    }
+    if (branches === null) {
+      entries.push({ ...entry, action: PlanAction.FAIL, notes: 'git ls-remote failed' });
+      continue;
+    }
+
+    let expandedTargets = [target];
+    if (target.branchPattern) {
+      expandedTargets = expandBranchPattern(target, branches);
+      if (expandedTargets.length === 0) {
+        entries.push({ ...entry, action: PlanAction.SKIP, notes: 'pattern matched no upstream branches' });
+        continue;
+      }
+    }
+
+    for (const { branch } of expandedTargets) {
+      const targetKey = `${org}/${repo}@${branch}`;
+      const branchEntry = { ...entry, branch };
+
+      if (planned.has(targetKey)) {
+        entries.push({ ...branchEntry, action: PlanAction.SKIP, notes: 'duplicate target' });
+      } else if (!branches.includes(branch)) {
+        // A listed branch that does not exist is a mistake in target.yml, not something to skip quietly
+        entries.push({ ...branchEntry, action: PlanAction.FAIL, notes: 'branch not found upstream' });
+      } else {
+        planned.add(targetKey);
+        const notes = target.branchPattern ? `from pattern ${target.branchPattern.pattern}` : '';
+        entries.push({ ...branchEntry, action: PlanAction.CREATE, taskDirName: formatTaskDirName(taskCounter, org, repo, branch), notes });
+        taskCounter++;
+      }
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Print the plan as a table followed by per-action counts
+ * @param {Array} entries - Plan entries from planTasks()
+ */
+export function printPlan(entries) {
+  const columns = [
+    ['Action', entry => entry.action],
+    ['Task directory', entry => entry.taskDirName || '-'],
+    ['Repository', entry => `${isDefaultProvider(entry.provider) ? '' : `${entry.provider.host}/`}${entry.org}/${entry.repo}`],
+    ['Branch', entry => entry.branch],
+    ['Fork', entry => entry.fork || '-'],
+    ['Notes', entry => entry.notes || ''],
+  ];
+
+  const rows = entries.map(entry => columns.map(([, format]) => format(entry)));
+  const widths = columns.map(([title], index) => Math.max(title.length, ...rows.map(row => row[index].length)));
+  const formatRow = row => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd();
+
+  console.log(chalk.bold(formatRow(columns.map(([title]) => title))));
+  console.log(widths.map(width => '─'.repeat(width)).join('  '));
+  for (const row of rows) {
+    console.log(formatRow(row));
+  }
+
+  const count = action => entries.filter(entry => entry.action === action).length;
+  console.log('');
+  console.log(`📊 Plan: ${count(PlanAction.CREATE)} to create, ${count(PlanAction.SKIP)} skipped, ${count(PlanAction.FAIL)} failing`);
+}
@@ -0,0 +1,553 @@
+#!/usr/bin/env zx
+
+import { $, fs, path } from 'zx';
+import os from 'os';
+import { fileURLToPath } from 'url';
+
+/**
+ * Supported git hosting providers
+ * github: github.com through the `gh` CLI
+ * github-enterprise: a GitHub Enterprise Server host through `gh` (requires `host`)
+ * gitlab: gitlab.com or a self-managed host through the `glab` CLI
+ * git: plain git remotes under a base URL (requires `host`, e.g. file:///srv/mirrors)
+ */
+export const PROVIDER_TYPES = ['github', 'github-enterprise', 'gitlab', 'git'];
+
+/**
+ * Provider used when a target item does not choose one
+ */
+export const DEFAULT_PROVIDER = 'github';
+
+/**
+ * Hosts used when a provider spec has none
+ */
+const DEFAULT_HOSTS = {
+  github: 'github.com',
+  gitlab: 'gitlab.com',
+};
+
+/**
+ * Normalize a provider spec from target.yml
+ * @param {Object} spec - Spec {type, host}; both optional
+ * @returns {Object} Spec {type, host}
+ * @throws {Error} If the type is unknown or a required host is missing
+ */
+export function resolveProviderSpec({ type, host } = {}) {
+  const providerType = type || DEFAULT_PROVIDER;
+
+  if (!PROVIDER_TYPES.includes(providerType)) {
+    throw new Error(`Unknown provider '${providerType}' (expected one of: ${PROVIDER_TYPES.join(', ')})`);
+  }
+
+  const providerHost = host ? String(host).replace(/\/+$/, '') : DEFAULT_HOSTS[providerType];
+  if (!providerHost) {
+    throw new Error(`Provider '${providerType}' requires a "host"`);
+  }
+  if (providerType === 'git' && !/^(file|https?|ssh|git):\/\//.test(providerHost)) {
+    throw new Error(`Provider 'git' needs a base URL as "host" (file://, https://, ssh:// or git://), got '${providerHost}'`);
+  }
+  if (providerType !== 'git' && providerHost.includes('/')) {
+    throw new Error(`Provider '${providerType}' needs a host name as "host", got '${providerHost}'`);
+  }
+
+  return { type: providerType, host: providerHost };
+}
+
+/**
+ * Check whether a provider spec is the default (github.com)
+ * @param {Object} spec - Spec {type, host}
+ * @returns {boolean} True for the default provider
+ */
+export function isDefaultProvider(spec) {
+  const { type, host } = resolveProviderSpec(spec);
+  return type === DEFAULT_PROVIDER && host === DEFAULT_HOSTS[DEFAULT_PROVIDER];
+}
+
+/**
+ * Find the first pull/merge request URL in command output
+ * @param {string} text - Command output
+ * @returns {string|null} URL, or null if none found
+ */
+export function findRequestUrl(text) {
+  const match = (text || '').match(/https?:\/\/\S+\/(?:pull|merge_requests)\/\d+/);
+  return match ? match[0] : null;
+}
+
+/**
+ * Summarize GitHub status checks into one state
+ * @param {Array} contexts - statusCheckRollup entries (check runs and commit statuses)
+ * @returns {string} passing, failing, pending or none
+ */
+function rollupGitHubChecks(contexts = []) {
+  if (contexts.length === 0) {
+    return 'none';
+  }
+
+  const states = contexts.map(context => (context.conclusion || context.state || context.status || '').toUpperCase());
+  if (states.some(state => ['FAILURE', 'ERROR', 'CANCELLED', 'TIMED_OUT', 'ACTION_REQUIRED', 'STARTUP_FAILURE'].includes(state))) {
+    return 'failing';
+  }
+  if (states.some(state => ['', 'PENDING', 'EXPECTED', 'QUEUED', 'IN_PROGRESS', 'WAITING', 'REQUESTED'].includes(state))) {
+    return 'pending';
+  }
+  return 'passing';
+}
+
+/**
+ * Create the GitHub provider, also used for GitHub Enterprise hosts
+ * Every `gh` call runs with GH_HOST set to the provider host.
+ * @param {string} host - GitHub host name
+ * @param {string} type - Provider type, for labels
+ * @returns {Object} Provider
+ */
+function createGitHubProvider(host, type) {
+  const gh = $({ env: { ...process.env, GH_HOST: host } });
+  const repoRef = (owner, repo) => (host === DEFAULT_HOSTS.github ? `${owner}/${repo}` : `${host}/${owner}/${repo}`);
+
+  return {
+    type,
+    host,
+    label: type === 'github' ? 'GitHub' : `GitHub Enterprise (${host})`,
+    upstreamUrl: (org, repo) => `https://${host}/${org}/${repo}.git`,
+
+    async getCurrentUser() {
+      try {
+        const result = await gh`gh api user --jq '.login'`;
+        return result.stdout.trim();
+      } catch (error) {
+        const errorMsg = error.stderr || error.message || 'Unknown error';
+        console.error(`   ❌ Error: Could not get current GitHub user. Please check gh authentication.`);
+        console.error(`   📋 GitHub API error details:`);
+        console.error(`      ${errorMsg}`);
+        throw new Error(`Could not get current GitHub user on ${host}. Please check gh authentication.`);
+      }
+    },
+
+    async hasFork(username, org, repo, forkName = repo) {
+      try {
+        const result = await gh`gh repo view ${repoRef(username, forkName)} --json parent`.quiet();
+        const { parent } = JSON.parse(result.stdout);
+        return Boolean(parent) && `${parent.owner.login}/${parent.name}`.toLowerCase() === `${org}/${repo}`.toLowerCase();
+      } catch (error) {
+        return false;
+      }
+    },
+
+    async createFork(org, repo, forkName = repo) {
+      try {
+        console.log(`   🍴 Creating fork of ${org}/${repo}${forkName !== repo ? ` as ${forkName}` : ''}...`);
+        await gh`gh repo fork ${repoRef(org, repo)} --clone=false ${forkName !== repo ? ['--fork-name', forkName] : []}`;
+        console.log(`   ✅ Successfully forked ${org}/${repo}`);
+        return true;
+      } catch (error) {
+        console.error(`   ❌ Error: Failed to fork ${org}/${repo}`);
+        return false;
+      }
+    },
+
+    async cloneRepository(username, repo, repoDir, gitArgs = []) {
+      try {
+        console.log(`   📥 Cloning ${username}/${repo} to workspace${gitArgs.length ? ` (${gitArgs.join(' ')})` : ''}...`);
+        await gh`gh repo clone ${repoRef(username, repo)} ${repoDir} ${gitArgs.length ? ['--', ...gitArgs] : []}`;
+        return true;
+      } catch (error) {
+        console.error(`   ❌ Error: Failed to clone ${username}/${repo}`);
+        return false;
+      }
+    },
+
+    async getRepositoryInfo(org, repo) {
+      try {
+        const result = await gh`gh repo view ${repoRef(org, repo)} --json isArchived`;
+        return { exists: true, isArchived: JSON.parse(result.stdout).isArchived, error: null };
+      } catch (error) {
+        const errorMsg = (error.stderr || error.message || 'Unknown error').trim();
+        return { exists: false, isArchived: false, error: errorMsg };
+      }
+    },
+
+    async listOrgRepositories(org, limit = 1000) {
+      try {
+        const result = await gh`gh repo list ${org} --limit ${limit} --json name,isArchived,isFork,primaryLanguage,repositoryTopics`;
+        return JSON.parse(result.stdout).map(repo => ({
+          name: repo.name,
+          isArchived: repo.isArchived,
+          isFork: repo.isFork,
+          primaryLanguage: repo.primaryLanguage?.name || null,
+          topics: (repo.repositoryTopics || []).map(topic => topic.name),
+        }));
+      } catch (error) {
+        const errorMsg = error.stderr || error.message || 'Unknown error';
+        throw new Error(`Failed to list repositories of ${org}: ${errorMsg.trim()}`);
+      }
+    },
+
+    async readRepositoryFile(org, repo, filePath) {
+      try {
+        const result = await gh`gh api repos/${org}/${repo}/contents/${filePath} --jq .content`;
+        return Buffer.from(result.stdout.trim(), 'base64').toString('utf-8');
+      } catch (error) {
+        return null;
+      }
+    },
+
+    async createPullRequest({ org, repo, username, head, base, title, body = '', draft = false, labels = [], reviewers = [] }) {
+      const flags = [
+        ...(draft ? ['--draft'] : []),
+        ...labels.flatMap(label => ['--label', label]),
+        ...reviewers.flatMap(reviewer => ['--reviewer', reviewer]),
+      ];
+      const result = await gh`gh pr create --repo ${repoRef(org, repo)} --head ${`${username}:${head}`} --base ${base} --title ${title} --body ${body} ${flags}`;
+      return findRequestUrl(result.stdout);
+    },
+
+    async getPullRequestStatus({ org, repo, url, head, username }) {
+      const fields = 'url,number,title,state,isDraft,reviewDecision,statusCheckRollup,mergeable,headRepositoryOwner';
+      let pr;
+      if (url) {
+        pr = JSON.parse((await gh`gh pr view ${url} --json ${fields}`).stdout);
+      } else {
+        const candidates = JSON.parse((await gh`gh pr list --repo ${repoRef(org, repo)} --head ${head} --state all --limit 20 --json ${fields}`).stdout);
+        // Only the fork's pull request counts: other forks may use the same branch name
+        pr = candidates.find(candidate => candidate.headRepositoryOwner?.login === username);
+        if (!pr) {
+          return null;
+        }
+      }
+
+      return {
+        url: pr.url,
+        number: pr.number,
+        title: pr.title,
+        state: pr.state.toLowerCase(),
+        draft: Boolean(pr.isDraft),
+        review: pr.reviewDecision ? pr.reviewDecision.toLowerCase() : 'none',
+        checks: rollupGitHubChecks(pr.statusCheckRollup),
+        mergeable: { MERGEABLE: 'mergeable', CONFLICTING: 'conflicting' }[pr.mergeable] || 'unknown',
+      };
+    },
+  };
+}
+
+/**
+ * Create the GitLab provider
+ * Every `glab` call runs with GITLAB_HOST set to the provider host. GitLab
+ * groups play the role of organizations; project languages are not listed,
+ * so discovery by `language` matches nothing.
+ * @param {string} host - GitLab host name
+ * @returns {Object} Provider
+ */
+function createGitLabProvider(host) {
+  const glab = $({ env: { ...process.env, GITLAB_HOST: host } });
+  const projectId = (owner, repo) => encodeURIComponent(`${owner}/${repo}`);
+
+  return {
+    type: 'gitlab',
+    host,
+    label: `GitLab (${host})`,
+    upstreamUrl: (org, repo) => `https://${host}/${org}/${repo}.git`,
+
+    async getCurrentUser() {
+      try {
+        const result = await glab`glab api user`;
+        return JSON.parse(result.stdout).username;
+      } catch (error) {
+        const errorMsg = error.stderr || error.message || 'Unknown error';
+        console.error(`   ❌ Error: Could not get current GitLab user. Please check glab authentication.`);
+        console.error(`      ${errorMsg}`);
+        throw new Error(`Could not get current GitLab user on ${host}. Please check glab authentication.`);
+      }
+    },
+
+    async hasFork(username, org, repo, forkName = repo) {
+      try {
+        const result = await glab`glab api projects/${projectId(username, forkName)}`.quiet();
+        const parent = JSON.parse(result.stdout).forked_from_project;
+        return Boolean(parent) && parent.path_with_namespace.toLowerCase() === `${org}/${repo}`.toLowerCase();
+      } catch (error) {
+        return false;
+      }
+    },
+
+    async createFork(org, repo, forkName = repo) {
+      try {
+        console.log(`   🍴 Creating fork of ${org}/${repo}${forkName !== repo ? ` as ${forkName}` : ''}...`);
+        await glab`glab repo fork ${`${org}/${repo}`} --clone=false ${forkName !== repo ? ['--name', forkName, '--path', forkName] : []}`;
+        console.log(`   ✅ Successfully forked ${org}/${repo}`);
+        return true;
+      } catch (error) {
+        console.error(`   ❌ Error: Failed to fork ${org}/${repo}`);
+        return false;
+      }
+    },
+
+    async cloneRepository(username, repo, repoDir, gitArgs = []) {
+      try {
+        console.log(`   📥 Cloning ${username}/${repo} to workspace${gitArgs.length ? ` (${gitArgs.join(' ')})` : ''}...`);
+        await glab`glab repo clone ${`${username}/${repo}`} ${repoDir} ${gitArgs.length ? ['--', ...gitArgs] : []}`;
+        return true;
+      } catch (error) {
+        console.error(`   ❌ Error: Failed to clone ${username}/${repo}`);
+        return false;
+      }
+    },
+
+    async getRepositoryInfo(org, repo) {
+      try {
+        const result = await glab`glab api projects/${projectId(org, repo)}`;
+        return { exists: true, isArchived: Boolean(JSON.parse(result.stdout).archived), error: null };
+      } catch (error) {
+        const errorMsg = (error.stderr || error.message || 'Unknown error').trim();
+        return { exists: false, isArchived: false, error: errorMsg };
+      }
+    },
+
+    async listOrgRepositories(org, limit = 1000) {
+      try {
+        // One request per page, so every page is parsed on its own; a short page is the last one
+        const perPage = 100;
+        const projects = [];
+        for (let page = 1; projects.length < limit; page++) {
+          const result = await glab`glab api ${`groups/${encodeURIComponent(org)}/projects?per_page=${perPage}&page=${page}`}`;
+          const pageProjects = JSON.parse(result.stdout);
+          projects.push(...pageProjects);
+          if (pageProjects.length < perPage) {
+            break;
+          }
+        }
+        return projects.slice(0, limit).map(project => ({
+          name: project.path,
+          isArchived: Boolean(project.archived),
+          isFork: Boolean(project.forked_from_project),
+          primaryLanguage: null,
+          topics: project.topics || project.tag_list || [],
+        }));
+      } catch (error) {
+        const errorMsg = error.stderr || error.message || 'Unknown error';
+        throw new Error(`Failed to list projects of ${org}: ${errorMsg.trim()}`);
+      }
+    },
+
+    async readRepositoryFile(org, repo, filePath) {
+      try {
+        const result = await glab`glab api ${`projects/${projectId(org, repo)}/repository/files/${encodeURIComponent(filePath)}/raw?ref=HEAD`}`;
+        return result.stdout;
+      } catch (error) {
+        return null;
+      }
+    },
+
+    async createPullRequest({ org, repo, repoDir, head, base, title, body = '', draft = false, labels = [], reviewers = [] }) {
+      const flags = [
+        ...(draft ? ['--draft'] : []),
+        ...(labels.length ? ['--label', labels.join(',')] : []),
+        ...(reviewers.length ? ['--reviewer', reviewers.join(',')] : []),
+      ];
+      const result = await $({ cwd: repoDir, env: { ...process.env, GITLAB_HOST: host } })`glab mr create --repo ${`${org}/${repo}`} --source-branch ${head} --target-branch ${base} --title ${title} --description ${body} --yes ${flags}`;
+      return findRequestUrl(result.stdout);
+    },
+
+    async getPullRequestStatus({ org, repo, url, head, username, forkName = repo }) {
+      const project = projectId(org, repo);
+      let iid = url?.match(/\/merge_requests\/(\d+)/)?.[1];
+      if (!iid) {
+        if (!username) {
+          return null;
+        }
+        // Only the fork's merge request counts: other forks may use the same branch name
+        const fork = JSON.parse((await glab`glab api ${`projects/${projectId(username, forkName)}`}`).stdout);
+        const candidates = JSON.parse((await glab`glab api ${`projects/${project}/merge_requests?source_branch=${encodeURIComponent(head)}&state=all&per_page=20`}`).stdout);
+        const mergeRequest = candidates.find(candidate => candidate.source_project_id === fork.id);
+        if (!mergeRequest) {
+          return null;
+        }
+        iid = mergeRequest.iid;
+      }
+
+      const mr = JSON.parse((await glab`glab api ${`projects/${project}/merge_requests/${iid}`}`).stdout);
+      let approvals = {};
+      try {
+        approvals = JSON.parse((await glab`glab api ${`projects/${project}/merge_requests/${iid}/approvals`}`).stdout);
+      } catch (error) {
+        // Approvals are not available on every tier
+      }
+
+      let review = 'none';
+      if (mr.detailed_merge_status === 'requested_changes') {
+        review = 'changes_requested';
+      } else if (approvals.approved && (approvals.approved_by || []).length > 0) {
+        review = 'approved';
+      } else if (approvals.approvals_left > 0) {
+        review = 'review_required';
+      }
+
+      const pipeline = mr.head_pipeline?.status;
+      let checks = 'none';
+      if (['failed', 'canceled'].includes(pipeline)) {
+        checks = 'failing';
+      } else if (pipeline === 'success') {
+        checks = 'passing';
+      } else if (pipeline && pipeline !== 'skipped') {
+        checks = 'pending';
+      }
+
+      return {
+        url: mr.web_url,
+        number: mr.iid,
+        title: mr.title,
+        state: { opened: 'open', merged: 'merged' }[mr.state] || 'closed',
+        draft: Boolean(mr.draft || mr.work_in_progress),
+        review,
+        checks,
+        mergeable: mr.has_conflicts ? 'conflicting' : mr.merge_status === 'can_be_merged' ? 'mergeable' : 'unknown',
+      };
+    },
+  };
+}
+
+/**
+ * Create the plain-git provider
+ * Repositories live at `<host>/<org>/<repo>.git` and the user's fork at
+ * `<host>/<user>/<repo>.git`, where the user is the local login name. On
+ * file:// hosts forks are created as bare copies and discovery lists the
+ * org directory, so a whole run works against local mirrors with no network.
+ * There are no pull requests; branches are only pushed to the fork.
+ * @param {string} host - Base URL
+ * @returns {Object} Provider
+ */
+function createGitProvider(host) {
+  const localBase = host.startsWith('file://') ? fileURLToPath(host) : null;
+  const repoUrl = (owner, repo) => `${host}/${owner}/${repo}.git`;
+  const localPath = (owner, repo) => path.join(localBase, owner, `${repo}.git`);
+  // A probe that is expected to fail (no fork yet), so git's error output is not shown
+  const canReach = async url => (await $`git ls-remote --heads ${url}`.nothrow().quiet()).exitCode === 0;
+  const currentUser = () => process.env.GIT_PROVIDER_USER || os.userInfo().username;
+
+  return {
+    type: 'git',
+    host,
+    label: `git (${host})`,
+    upstreamUrl: repoUrl,
+
+    async getCurrentUser() {
+      return currentUser();
+    },
+
+    // Plain git has no fork relation, so any reachable repository of the name counts
+    async hasFork(username, org, repo, forkName = repo) {
+      return canReach(repoUrl(username, forkName));
+    },
+
+    async createFork(org, repo, forkName = repo) {
+      if (!localBase) {
+        console.error(`   ❌ Error: Cannot create forks on ${host}; create ${repoUrl(currentUser(), forkName)} by hand`);
+        return false;
+      }
+
+      try {
+        const username = currentUser();
+        console.log(`   🍴 Creating fork of ${org}/${repo} at ${repoUrl(username, forkName)}...`);
+        await fs.ensureDir(path.join(localBase, username));
+        await $`git clone --bare --quiet ${repoUrl(org, repo)} ${localPath(username, forkName)}`;
+        console.log(`   ✅ Successfully forked ${org}/${repo}`);
+        return true;
+      } catch (error) {
+        console.error(`   ❌ Error: Failed to fork ${org}/${repo}`);
+        return false;
+      }
+    },
+
+    async cloneRepository(username, repo, repoDir, gitArgs = []) {
+      try {
+        console.log(`   📥 Cloning ${username}/${repo} to workspace${gitArgs.length ? ` (${gitArgs.join(' ')})` : ''}...`);
+        await $`git clone --quiet ${gitArgs} ${repoUrl(username, repo)} ${repoDir}`;
+        return true;
+      } catch (error) {
+        console.error(`   ❌ Error: Failed to clone ${username}/${repo}`);
+        return false;
+      }
+    },
+
+    async getRepositoryInfo(org, repo) {
+      if (await canReach(repoUrl(org, repo))) {
+        return { exists: true, isArchived: false, error: null };
+      }
+      return { exists: false, isArchived: false, error: `${repoUrl(org, repo)} is not reachable` };
+    },
+
+    async listOrgRepositories(org, limit = 1000) {
+      if (!localBase) {
+        throw new Error(`Repository discovery is not supported on ${host} (only file:// hosts)`);
+      }
+
+      const orgDir = path.join(localBase, org);
+      if (!(await fs.pathExists(orgDir))) {
+        throw new Error(`Failed to list repositories of ${org}: ${orgDir} not found`);
+      }
+
+      const entries = (await fs.readdir(orgDir)).filter(entry => entry.endsWith('.git')).sort();
+      return entries.slice(0, limit).map(entry => ({
+        name: entry.replace(/\.git$/, ''),
+        isArchived: false,
+        isFork: false,
+        primaryLanguage: null,
+        topics: [],
+      }));
+    },
+
+    async readRepositoryFile(org, repo, filePath) {
+      if (!localBase) {
+        return null;
+      }
+
+      try {
+        const result = await $`git --git-dir=${localPath(org, repo)} show ${`HEAD:${filePath}`}`;
+        return result.stdout;
+      } catch (error) {
+        return null;
+      }
+    },
+
+    async createPullRequest({ head }) {
+      console.log(`   ℹ️  Provider git has no pull requests; branch ${head} was pushed to the fork`);
+      return null;
+    },
+
+    async getPullRequestStatus() {
+      return null;
+    },
+  };
+}
+
+const providerCache = new Map();
+
+/**
+ * Get the provider for a spec
+ * Providers expose: type, host, label, upstreamUrl(org, repo), getCurrentUser(),
+ * hasFork(username, org, repo, forkName), createFork(org, repo, forkName), cloneRepository(username, repo, repoDir, gitArgs),
+ * getRepositoryInfo(org, repo), listOrgRepositories(org, limit),
+ * readRepositoryFile(org, repo, filePath), createPullRequest(options) and
+ * getPullRequestStatus({org, repo, url, head, username, forkName}). hasFork()
+ * is true only for a fork of org/repo; forkName defaults to repo. The latter finds the
+ * pull request by URL, or else by head branch of the fork of username, and
+ * returns null when there is none; its state is open, merged or closed, review is approved,
+ * changes_requested, review_required or none, checks is passing, failing,
+ * pending or none, and mergeable is mergeable, conflicting or unknown.
+ * @param {Object} spec - Spec {type, host}; defaults to github.com
+ * @returns {Object} Provider
+ */
+export function getProvider(spec = {}) {
+  const { type, host } = resolveProviderSpec(spec);
+  const key = `${type}|${host}`;
+
+  if (!providerCache.has(key)) {
+    const provider = type === 'gitlab'
+      ? createGitLabProvider(host)
+      : type === 'git'
+        ? createGitProvider(host)
+        : createGitHubProvider(host, type);
+    providerCache.set(key, provider);
+  }
+
+  return providerCache.get(key);
+}
@@ -0,0 +1,247 @@
+#!/usr/bin/env zx
+
+import { $, fs, path } from 'zx';
+import { renderTemplate } from './template.mjs';
+import { findRequestUrl, getProvider } from './providers.mjs';
+import { readForkOwner } from './repository.mjs';
+
+/**
+ * Name of the rendered pull request file written into each task directory
+ */
+export const PR_FILE = 'pr.json';
+
+/**
+ * Keys accepted in the config.json "pr" section and their types
+ * branch, title, body, labels and reviewers are templates, see lib/template.mjs.
+ */
+export const PR_CONFIG_SCHEMA = {
+  branch: { type: 'string', description: 'Feature branch name template' },
+  title: { type: 'string', description: 'Pull request title template' },
+  body: { type: 'string', description: 'Pull request body template' },
+  bodyFile: { type: 'string', description: 'Bundle-relative file with the body template (overrides body)' },
+  labels: { type: 'array', description: 'Label templates' },
+  reviewers: { type: 'array', description: 'Reviewer templates' },
+  draft: { type: 'boolean', description: 'Open the pull request as a draft' },
+  forcePush: { type: 'boolean', description: 'Replace a feature branch on the fork that has other commits (--force-with-lease)' },
+};
+
+/**
+ * Defaults for the keys a "pr" section leaves out
+ */
+const DEFAULT_PR_CONFIG = {
+  branch: '{{bundle}}-{{branch}}',
+  title: '[{{branch}}] {{bundle}}',
+  body: 'Automated change for `{{org}}/{{repo}}` on `{{branch}}`, generated from the `{{bundle}}` bundle.',
+  bodyFile: null,
+  labels: [],
+  reviewers: [],
+  draft: false,
+  forcePush: false,
+};
+
+/**
+ * Validate the config.json "pr" section
+ * @param {Object} pr - Pull request settings
+ * @param {string} source - Where the settings came from, for error messages
+ * @throws {Error} If the settings are malformed
+ */
+export function validatePullRequestConfig(pr, source) {
+  if (!pr || typeof pr !== 'object' || Array.isArray(pr)) {
+    throw new Error(`${source}: must be an object`);
+  }
+
+  for (const key of Object.keys(pr)) {
+    if (!PR_CONFIG_SCHEMA[key]) {
+      throw new Error(`${source}: unknown key '${key}' (expected: ${Object.keys(PR_CONFIG_SCHEMA).join(', ')})`);
+    }
+  }
+
+  for (const key of ['branch', 'title', 'bodyFile']) {
+    if (pr[key] !== undefined && (typeof pr[key] !== 'string' || pr[key].trim() === '')) {
+      throw new Error(`${source}: '${key}' must be a non-empty string`);
+    }
+  }
+
+  if (pr.body !== undefined && typeof pr.body !== 'string') {
+    throw new Error(`${source}: 'body' must be a string`);
+  }
+
+  for (const key of ['labels', 'reviewers']) {
+    if (pr[key] !== undefined && (!Array.isArray(pr[key]) || pr[key].some(entry => typeof entry !== 'string'))) {
+      throw new Error(`${source}: '${key}' must be a list of strings`);
+    }
+  }
+
+  for (const key of ['draft', 'forcePush']) {
+    if (pr[key] !== undefined && typeof pr[key] !== 'boolean') {
+      throw new Error(`${source}: '${key}' must be a boolean`);
+    }
+  }
+}
+
+/**
+ * Load the pull request templates of a bundle
+ * @param {Object} pr - The config.json "pr" section
+ * @param {string} bundleDir - Bundle directory, for bodyFile
+ * @returns {Object} Templates {branch, title, body, labels, reviewers} as {text, source}, plus draft and forcePush
+ * @throws {Error} If bodyFile does not exist
+ */
+export async function loadPullRequestTemplates(pr, bundleDir) {
+  const settings = { ...DEFAULT_PR_CONFIG, ...pr };
+  const template = (text, key) => ({ text, source: `config.json pr.${key}` });
+
+  let body = template(settings.body, 'body');
+  if (settings.bodyFile) {
+    const bodyFile = path.join(bundleDir, settings.bodyFile);
+    if (!(await fs.pathExists(bodyFile))) {
+      throw new Error(`${bodyFile} not found (pr.bodyFile)`);
+    }
+    body = { text: await fs.readFile(bodyFile, 'utf-8'), source: bodyFile };
+  }
+
+  return {
+    branch: template(settings.branch, 'branch'),
+    title: template(settings.title, 'title'),
+    body,
+    labels: settings.labels.map((label, index) => template(label, `labels[${index}]`)),
+    reviewers: settings.reviewers.map((reviewer, index) => template(reviewer, `reviewers[${index}]`)),
+    draft: settings.draft,
+    forcePush: settings.forcePush,
+  };
+}
+
+/**
+ * List every template of a loaded pull request configuration
+ * @param {Object} templates - Templates from loadPullRequestTemplates()
+ * @returns {Array} Templates [{text, source}]
+ */
+export function listPullRequestTemplates(templates) {
+  return [templates.branch, templates.title, templates.body, ...templates.labels, ...templates.reviewers];
+}
+
+/**
+ * Render the pull request of one task
+ * @param {Object} templates - Templates from loadPullRequestTemplates()
+ * @param {Object} variables - Template variables of the task
+ * @returns {Object} Pull request {branch, title, body, labels, reviewers, draft, forcePush}
+ */
+export function renderPullRequest(templates, variables) {
+  const render = ({ text, source }) => renderTemplate(text, variables, source).trim();
+
+  return {
+    branch: render(templates.branch),
+    title: render(templates.title),
+    body: render(templates.body),
+    labels: templates.labels.map(render).filter(Boolean),
+    reviewers: templates.reviewers.map(render).filter(Boolean),
+    draft: templates.draft,
+    forcePush: templates.forcePush,
+  };
+}
+
+/**
+ * Write pr.json into a task directory
+ * @param {string} taskDir - Task directory
+ * @param {Object} pullRequest - Pull request from renderPullRequest()
+ */
+export async function writePullRequest(taskDir, pullRequest) {
+  await fs.writeJson(path.join(taskDir, PR_FILE), pullRequest, { spaces: 2 });
+}
+
+/**
+ * Read pr.json from a task directory
+ * @param {string} taskDir - Task directory
+ * @returns {Object|null} Pull request, or null for tasks whose agent manages its own branch
+ */
+export async function readPullRequest(taskDir) {
+  try {
+    return await fs.readJson(path.join(taskDir, PR_FILE));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Push a task's feature branch to the fork and open its pull request against upstream
+ * The push fails when the fork's branch has commits the local branch lacks
+ * (e.g. the pull request of an earlier run), unless pr.forcePush is set: then
+ * it replaces the branch with --force-with-lease. When a pull request for the
+ * branch is already open, that one is reused.
+ * The head owner is the fork owner recorded in the clone, or else the current user.
+ * @param {string} repoCodePath - Worktree path
+ * @param {Object} pullRequest - Pull request from pr.json
+ * @param {Object} target - Task coordinates {org, repo, branch, provider}
+ * @param {Object} [options] - Publish options
+ * @param {Function} [options.supervise] - Runs the push (a nothrow() ProcessPromise) and resolves to {output, interrupted}
+ * @param {Function} [options.shouldStop] - Checked before opening the pull request; true leaves it unopened
+ * @returns {Object} Publish result {published, prUrl, error, interrupted}; published is false when there was nothing to push or it was interrupted
+ */
+export async function publishPullRequest(repoCodePath, pullRequest, { org, repo, branch, provider }, { supervise = null, shouldStop = () => false } = {}) {
+  const head = pullRequest.branch;
+
+  try {
+    const ahead = await $`git -C ${repoCodePath} rev-list --count ${`upstream/${branch}..refs/heads/${head}`}`;
+    if (Number(ahead.stdout.trim()) === 0) {
+      console.log(`   ℹ️  No commits on ${head}, nothing to push`);
+      return { published: false, prUrl: null, error: null };
+    }
+
+    // The lease is the fork's branch as seen now (absent if empty), so a concurrent update is not overwritten
+    let forceArgs = [];
+    if (pullRequest.forcePush) {
+      const remote = await $`git -C ${repoCodePath} ls-remote origin ${`refs/heads/${head}`}`;
+      forceArgs = [`--force-with-lease=refs/heads/${head}:${remote.stdout.split('\t')[0].trim()}`];
+    }
+
+    console.log(`   ⬆️  Pushing ${head} to origin${pullRequest.forcePush ? ' (--force-with-lease)' : ''}...`);
+    const push = $`git -C ${repoCodePath} push --quiet ${forceArgs} origin ${`refs/heads/${head}:refs/heads/${head}`}`.nothrow();
+    const { output, interrupted } = supervise ? await supervise(push) : { output: await push, interrupted: false };
+    if (interrupted || shouldStop()) {
+      console.log(`   🛑 Not opening a pull request for ${head}: shutdown requested`);
+      return { published: false, prUrl: null, error: null, interrupted: true };
+    }
+    if (output.exitCode !== 0 && !pullRequest.forcePush && /\[rejected\]|non-fast-forward|fetch first/.test(output.stderr)) {
+      throw new Error(`origin already has ${head} with other commits (e.g. the pull request of an earlier run); set "forcePush": true in the "pr" section to replace it`);
+    }
+    if (output.exitCode !== 0) {
+      throw output;
+    }
+
+    const hosting = getProvider(provider || undefined);
+    const request = {
+      org,
+      repo,
+      username: (await readForkOwner(repoCodePath)) || (await hosting.getCurrentUser()),
+      repoDir: repoCodePath,
+      head,
+      base: branch,
+      title: pullRequest.title,
+      body: pullRequest.body,
+      draft: pullRequest.draft,
+      labels: pullRequest.labels,
+      reviewers: pullRequest.reviewers,
+    };
+
+    let prUrl;
+    try {
+      console.log(`   🔀 Opening pull request ${head} → ${org}/${repo}:${branch}...`);
+      prUrl = await hosting.createPullRequest(request);
+    } catch (error) {
+      prUrl = /already exists/i.test(error.stderr || '') ? findRequestUrl(error.stderr) : null;
+      if (!prUrl) {
+        throw error;
+      }
+      console.log(`   ♻️  Pull request already open, updated by the push`);
+    }
+
+    if (prUrl) {
+      console.log(`   ✅ Pull request: ${prUrl}`);
+    }
+    return { published: true, prUrl, error: null };
+  } catch (error) {
+    const errorMsg = (error.stderr || error.message || 'Unknown error').trim();
+    console.error(`   ❌ Error: Failed to publish ${head}`);
+    console.error(`      ${errorMsg}`);
+    return { published: false, prUrl: null, error: errorMsg };
+  }
+}
@@ -0,0 +1,365 @@
+#!/usr/bin/env zx
+
+import { $, fs, path } from 'zx';
+import { CONFIG_SCHEMA } from './config.mjs';
+import { TaskStatus } from './state.mjs';
+import { describeLogLine } from './result.mjs';
+import { addUsage, formatCost, formatUsage } from './usage.mjs';
+
+/**
+ * Names of the run report files written into the output directory
+ */
+export const REPORT_FILES = {
+  html: 'report.html',
+  markdown: 'report.md',
+};
+
+/**
+ * Number of readable execution.log lines kept in each task's log excerpt
+ */
+const LOG_EXCERPT_LINES = 40;
+
+/**
+ * Characters kept of each line in a log excerpt
+ */
+const LOG_LINE_LENGTH = 500;
+
+/**
+ * Icon and label of each task status in the report
+ */
+const STATUS_LABELS = {
+  [TaskStatus.PASSED]: '✅ passed',
+  [TaskStatus.FAILED]: '❌ failed',
+  [TaskStatus.TIMED_OUT]: '⏰ timed out',
+  [TaskStatus.INTERRUPTED]: '🛑 interrupted',
+  [TaskStatus.SKIPPED_BUDGET]: '💸 skipped over budget',
+  [TaskStatus.PENDING]: '⏭️ not started',
+};
+
+/**
+ * Collect the commits, diffstat and log excerpt of a finished task
+ * Commits and diffstat come from the task worktree, between the base and
+ * head refs its inspection recorded.
+ * @param {Object} result - Task result from runTask()
+ * @returns {Object} Details {commits, diffstat, logExcerpt}
+ */
+async function collectTaskDetails(result) {
+  const details = { commits: [], diffstat: '', logExcerpt: '' };
+
+  const { inspection, repoCodePath } = result;
+  if (inspection && repoCodePath && inspection.commits > 0) {
+    const range = `${inspection.baseRef}..${inspection.headRef}`;
+    const log = await $`git -C ${repoCodePath} log ${'--format=%h %s'} ${range}`.nothrow();
+    if (log.exitCode === 0) {
+      details.commits = log.stdout.trim().split('\n').filter(Boolean).map((line) => {
+        const [sha, ...subject] = line.split(' ');
+        return { sha, subject: subject.join(' ') };
+      });
+    }
+
+    const diffstat = await $`git -C ${repoCodePath} diff --stat ${`${inspection.baseRef}...${inspection.headRef}`}`.nothrow();
+    if (diffstat.exitCode === 0) {
+      details.diffstat = diffstat.stdout.trimEnd();
+    }
+  }
+
+  if (result.logFile && (await fs.pathExists(result.logFile))) {
+    const lines = (await fs.readFile(result.logFile, 'utf-8'))
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(line => describeLogLine(line).trim())
+      .filter(Boolean)
+      .map(line => (line.length > LOG_LINE_LENGTH ? `${line.substring(0, LOG_LINE_LENGTH)}…` : line));
+    details.logExcerpt = lines.slice(-LOG_EXCERPT_LINES).join('\n');
+  }
+
+  return details;
+}
+
+/**
+ * Configuration keys left out of the report because they are local paths
+ */
+const UNREPORTED_CONFIG_KEYS = ['mirrorDir'];
+
+/**
+ * Replace the values of an agent profile's environment variables
+ * They often hold API keys, so only the variable names are reported.
+ * @param {Object|string} profile - Agent profile, or a profile name
+ * @returns {Object|string} Profile with env values redacted
+ */
+function redactAgentProfile(profile) {
+  if (!profile || typeof profile !== 'object' || !profile.env) {
+    return profile;
+  }
+  return { ...profile, env: Object.fromEntries(Object.keys(profile.env).map(name => [name, '(redacted)'])) };
+}
+
+/**
+ * Pick the settings of a run that are worth showing in the report
+ * Agent environment values are redacted, local paths left out, and the guide
+ * file is shown by name.
+ * @param {Object} config - Run configuration
+ * @returns {Object} Configuration file keys and their values
+ */
+function reportedConfig(config) {
+  const reported = Object.fromEntries(Object.keys(CONFIG_SCHEMA)
+    .filter(key => config[key] !== undefined && !UNREPORTED_CONFIG_KEYS.includes(key))
+    .map(key => [key, config[key]]));
+
+  if (reported.agent) {
+    reported.agent = redactAgentProfile(reported.agent);
+  }
+  if (reported.agents) {
+    reported.agents = Object.fromEntries(Object.entries(reported.agents).map(([name, profile]) => [name, redactAgentProfile(profile)]));
+  }
+  if (reported.guideFile) {
+    reported.guideFile = path.basename(reported.guideFile);
+  }
+  return reported;
+}
+
+/**
+ * Count the tasks of a run by status label
+ * @param {Array} entries - Report entries
+ * @returns {Array} [label, count] pairs for the statuses that occurred
+ */
+function countStatuses(entries) {
+  return Object.entries(STATUS_LABELS)
+    .map(([status, label]) => [label, entries.filter(entry => entry.result.status === status).length])
+    .filter(([, count]) => count > 0);
+}
+
+/**
+ * Describe the repository of a task entry
+ * @param {Object} result - Task result
+ * @returns {string} "org/repo", or the task name for tasks that never started
+ */
+function repositoryName(result) {
+  return result.org && result.repo ? `${result.org}/${result.repo}` : result.taskName;
+}
+
+/**
+ * Describe the orchestrator's verification of a task
+ * @param {Object} result - Task result
+ * @returns {string|null} e.g. "passed after 1 fix-it round(s)", or null when nothing was verified
+ */
+function describeVerification(result) {
+  const { verification } = result;
+  if (!verification) {
+    return null;
+  }
+
+  const rounds = verification.rounds > 0 ? ` after ${verification.rounds} fix-it round(s)` : '';
+  return verification.pass
+    ? `passed${rounds}`
+    : `failed${rounds}: ${verification.command} (exit ${verification.exitCode}), see ${verification.logFile}`;
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render the self-contained HTML report
+ * @param {Object} run - Run details, see writeRunReport()
+ * @param {Array} entries - Report entries [{result, details}]
+ * @returns {string} HTML document
+ */
+function renderHtmlReport(run, entries) {
+  const link = url => (url ? `<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>` : '—');
+  const counts = countStatuses(entries).map(([label, count]) => `${count} ${label}`).join(' · ');
+  const usage = addUsage(...entries.map(({ result }) => result.usage));
+
+  const rows = entries.map(({ result }) => `      <tr>
+        <td><a href="#${escapeHtml(result.taskName)}">${escapeHtml(repositoryName(result))}</a></td>
+        <td>${escapeHtml(result.branch || '')}</td>
+        <td>${escapeHtml(STATUS_LABELS[result.status] || result.status)}</td>
+        <td>${escapeHtml(result.outcome || '')}</td>
+        <td>${escapeHtml(result.formattedDuration || '')}</td>
+        <td>${result.usage ? escapeHtml(formatCost(result.usage.costUsd)) : '—'}</td>
+        <td>${link(result.prUrl)}</td>
+      </tr>`).join('\n');
+
+  const sections = entries.map(({ result, details }) => {
+    const commits = details.commits.length > 0
+      ? `<ul>\n${details.commits.map(commit => `        <li><code>${escapeHtml(commit.sha)}</code> ${escapeHtml(commit.subject)}</li>`).join('\n')}\n      </ul>`
+      : '<p>No commits.</p>';
+    const verification = describeVerification(result);
+
+    return `    <section id="${escapeHtml(result.taskName)}">
+      <h2>${escapeHtml(repositoryName(result))} <small>${escapeHtml(result.branch || '')}</small></h2>
+      <table class="meta">
+        <tr><th>Task</th><td><code>${escapeHtml(result.taskName)}</code></td></tr>
+        <tr><th>Status</th><td>${escapeHtml(STATUS_LABELS[result.status] || result.status)}${result.outcome ? ` (${escapeHtml(result.outcome)})` : ''}</td></tr>
+        <tr><th>Duration</th><td>${escapeHtml(result.formattedDuration || '—')}</td></tr>
+        <tr><th>Usage</th><td>${escapeHtml(result.usage ? formatUsage(result.usage) : '—')}</td></tr>
+        <tr><th>Feature branch</th><td>${result.featureBranch ? `<code>${escapeHtml(result.featureBranch)}</code>` : '—'}</td></tr>
+        <tr><th>Pull request</th><td>${link(result.prUrl)}</td></tr>
+        <tr><th>Summary</th><td>${escapeHtml(result.summary || '')}</td></tr>
+${verification ? `        <tr><th>Verification</th><td>${escapeHtml(verification)}</td></tr>\n` : ''}      </table>
+      <h3>Commits</h3>
+      ${commits}
+${details.diffstat ? `      <pre>${escapeHtml(details.diffstat)}</pre>\n` : ''}${details.logExcerpt ? `      <details>
+        <summary>Log excerpt (${escapeHtml(result.logFile)})</summary>
+        <pre>${escapeHtml(details.logExcerpt)}</pre>
+      </details>\n` : ''}    </section>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <title>Run report: ${escapeHtml(run.bundleName)}</title>
+    <style>
+      body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2em auto; max-width: 1100px; padding: 0 1em; color: #1f2328; }
+      table { border-collapse: collapse; margin: 1em 0; }
+      th, td { border: 1px solid #d0d7de; padding: 4px 10px; text-align: left; vertical-align: top; }
+      table.meta th { background: #f6f8fa; width: 10em; }
+      pre { background: #f6f8fa; padding: 10px; overflow-x: auto; white-space: pre-wrap; }
+      section { border-top: 1px solid #d0d7de; margin-top: 2em; }
+      small { color: #656d76; font-weight: normal; }
+    </style>
+  </head>
+  <body>
+    <h1>Run report: ${escapeHtml(run.bundleName)}</h1>
+    <table class="meta">
+      <tr><th>Bundle</th><td>${escapeHtml(run.bundleName)}</td></tr>
+      <tr><th>Started</th><td>${escapeHtml(run.startTimestamp)}</td></tr>
+      <tr><th>Finished</th><td>${escapeHtml(run.endTimestamp)}</td></tr>
+      <tr><th>Duration</th><td>${escapeHtml(run.duration)}</td></tr>
+      <tr><th>Tasks</th><td>${escapeHtml(counts || 'none')}</td></tr>
+      <tr><th>Usage</th><td>${escapeHtml(formatUsage(usage))}</td></tr>
+    </table>
+    <details>
+      <summary>Configuration</summary>
+      <pre>${escapeHtml(JSON.stringify(reportedConfig(run.config), null, 2))}</pre>
+    </details>
+    <table>
+      <tr><th>Repository</th><th>Branch</th><th>Status</th><th>Outcome</th><th>Duration</th><th>Cost</th><th>Pull request</th></tr>
+${rows}
+    </table>
+${sections}
+  </body>
+</html>
+`;
+}
+
+/**
+ * Render the Markdown report, suitable for pasting into an issue
+ * @param {Object} run - Run details, see writeRunReport()
+ * @param {Array} entries - Report entries [{result, details}]
+ * @returns {string} Markdown document
+ */
+function renderMarkdownReport(run, entries) {
+  const cell = value => String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  const counts = countStatuses(entries).map(([label, count]) => `${count} ${label}`).join(' · ');
+  const usage = addUsage(...entries.map(({ result }) => result.usage));
+
+  const rows = entries.map(({ result }) => `| ${cell(repositoryName(result))} | ${cell(result.branch)} | ${cell(STATUS_LABELS[result.status] || result.status)} | ${cell(result.outcome)} | ${cell(result.formattedDuration)} | ${result.usage ? formatCost(result.usage.costUsd) : '—'} | ${result.prUrl ? cell(result.prUrl) : '—'} |`);
+
+  const sections = entries.map(({ result, details }) => {
+    const lines = [
+      `### ${repositoryName(result)} \`${result.branch || ''}\``,
+      '',
+      `- **Task**: \`${result.taskName}\``,
+      `- **Status**: ${STATUS_LABELS[result.status] || result.status}${result.outcome ? ` (${result.outcome})` : ''}`,
+      `- **Duration**: ${result.formattedDuration || '—'}`,
+      `- **Usage**: ${result.usage ? formatUsage(result.usage) : '—'}`,
+      `- **Feature branch**: ${result.featureBranch ? `\`${result.featureBranch}\`` : '—'}`,
+      `- **Pull request**: ${result.prUrl || '—'}`,
+    ];
+    if (result.summary) {
+      lines.push(`- **Summary**: ${result.summary.replace(/\n+/g, ' ')}`);
+    }
+    const verification = describeVerification(result);
+    if (verification) {
+      lines.push(`- **Verification**: ${verification}`);
+    }
+
+    lines.push('', '**Commits**', '');
+    if (details.commits.length > 0) {
+      lines.push(...details.commits.map(commit => `- \`${commit.sha}\` ${commit.subject}`));
+    } else {
+      lines.push('No commits.');
+    }
+    if (details.diffstat) {
+      lines.push('', '```', details.diffstat, '```');
+    }
+    if (details.logExcerpt) {
+      lines.push('', '<details>', `<summary>Log excerpt (${result.logFile})</summary>`, '', '```', details.logExcerpt.replace(/```/g, "'''"), '```', '', '</details>');
+    }
+
+    return lines.join('\n');
+  });
+
+  return `# Run report: ${run.bundleName}
+
+| | |
+| --- | --- |
+| **Bundle** | ${cell(run.bundleName)} |
+| **Started** | ${cell(run.startTimestamp)} |
+| **Finished** | ${cell(run.endTimestamp)} |
+| **Duration** | ${cell(run.duration)} |
+| **Tasks** | ${cell(counts || 'none')} |
+| **Usage** | ${cell(formatUsage(usage))} |
+
+<details>
+<summary>Configuration</summary>
+
+\`\`\`json
+${JSON.stringify(reportedConfig(run.config), null, 2)}
+\`\`\`
+
+</details>
+
+| Repository | Branch | Status | Outcome | Duration | Cost | Pull request |
+| --- | --- | --- | --- | --- | --- | --- |
+${rows.join('\n')}
+
+## Tasks
+
+${sections.join('\n\n')}
+`;
+}
+
+/**
+ * Write report.html and report.md for a run into the output directory
+ * Both list every task of the run with its status, duration, usage, commits,
+ * diffstat, pull request and a log excerpt, under a header with the bundle,
+ * configuration and start and end times. The HTML report is self-contained;
+ * the Markdown report can be pasted into an issue.
+ * @param {string} outputDir - Output directory
+ * @param {Object} run - Run details
+ * @param {string} run.bundleName - Bundle name
+ * @param {Object} run.config - Run configuration
+ * @param {string} run.startTimestamp - Start time
+ * @param {string} run.endTimestamp - End time
+ * @param {string} run.duration - Formatted duration
+ * @param {Array} run.results - Results of every task of the run, including tasks this invocation did not run
+ * @returns {Object} Written files {html, markdown}
+ */
+export async function writeRunReport(outputDir, run) {
+  const entries = [];
+  for (const result of run.results) {
+    entries.push({ result, details: await collectTaskDetails(result) });
+  }
+
+  const files = {
+    html: path.join(outputDir, REPORT_FILES.html),
+    markdown: path.join(outputDir, REPORT_FILES.markdown),
+  };
+  await fs.writeFile(files.html, renderHtmlReport(run, entries), 'utf-8');
+  await fs.writeFile(files.markdown, renderMarkdownReport(run, entries), 'utf-8');
+
+  return files;
+}
@@ -1,73 +1,193 @@
 #!/usr/bin/env zx
 
 import { $, fs, path, chalk } from 'zx';
+import { getProvider } from './providers.mjs';
+import { calculateDuration } from './utils.mjs';
 
 /**
- * Get current GitHub username
- * @returns {string} GitHub username
+ * How workspace clones are made
+ * full: every object; blobless: file contents are fetched on demand
+ * (--filter=blob:none); reference: objects are shared with a mirror of the
+ * upstream repository in the mirror cache (--reference), see ensureMirror()
  */
-export async function getCurrentGitHubUser() {
-  try {
-    const result = await $`gh api user --jq '.login'`;
-    return result.stdout.trim();
-  } catch (error) {
-    const errorMsg = error.stderr || error.message || 'Unknown error';
-    console.error(`   ❌ Error: Could not get current GitHub user. Please check gh authentication.`);
-    console.error(`   📋 GitHub API error details:`);
-    console.error(`      ${errorMsg}`);
-    throw new Error('Could not get current GitHub user. Please check gh authentication.');
-  }
+export const CLONE_STRATEGIES = ['full', 'blobless', 'reference'];
+
+/**
+ * Which branches fetchLatestBranches() fetches
+ * all: every branch of every remote (git fetch --all); targets: only the
+ * branches the bundle targets
+ */
+export const FETCH_SCOPES = ['all', 'targets'];
+
+/**
+ * git config key, set in each workspace clone, naming the owner of the fork it was cloned from
+ */
+export const FORK_OWNER_CONFIG = 'multiRepoAgent.forkOwner';
+
+/**
+ * git config key, set in each workspace clone, naming the fork repository it was cloned from
+ */
+export const FORK_NAME_CONFIG = 'multiRepoAgent.forkName';
+
+/**
+ * Get the workspace clone directory of a repository
+ * Clones are namespaced by org (workspace/<org>/<repo>), so same-named
+ * repositories of different orgs get separate clones.
+ * @param {string} workspaceDir - Workspace directory path
+ * @param {string} org - Organization name
+ * @param {string} repo - Repository name
+ * @returns {string} Clone directory
+ */
+export function workspaceRepoDir(workspaceDir, org, repo) {
+  return path.join(workspaceDir, org, repo);
 }
 
 /**
- * Check if user has forked a repository
- * @param {string} username - GitHub username
+ * Find a clone of a repository in the flat workspace layout (workspace/<repo>)
+ * used before clones were namespaced by org. Only a clone whose upstream is
+ * this org's repository counts, since the flat layout shared one clone
+ * between same-named repositories of different orgs.
+ * @param {string} workspaceDir - Workspace directory path
+ * @param {string} org - Organization name
  * @param {string} repo - Repository name
- * @returns {boolean} True if fork exists
+ * @param {Object} provider - Git hosting provider from getProvider()
+ * @returns {string|null} Flat clone directory, or null if there is none for this org
  */
-export async function hasFork(username, repo) {
-  try {
-    const result = await $`gh repo list ${username} --fork --json name --jq '.[].name'`;
-    const repos = result.stdout.trim().split('\n');
-    return repos.includes(repo);
-  } catch (error) {
-    return false;
+export async function findFlatClone(workspaceDir, org, repo, provider = getProvider()) {
+  const flatDir = path.join(workspaceDir, repo);
+  if (!(await fs.pathExists(path.join(flatDir, '.git')))) {
+    return null;
   }
+
+  const upstream = await $`git -C ${flatDir} remote get-url upstream`.nothrow().quiet();
+  return upstream.exitCode === 0 && upstream.stdout.trim() === provider.upstreamUrl(org, repo) ? flatDir : null;
 }
 
 /**
- * Create a fork of a repository
+ * Move a flat workspace clone of a repository to workspace/<org>/<repo>
+ * Does nothing when the org-namespaced clone already exists or there is no
+ * flat clone for this org. Linked worktrees are repaired to follow the move.
+ * @param {string} workspaceDir - Workspace directory path
  * @param {string} org - Organization name
  * @param {string} repo - Repository name
- * @returns {boolean} True if successful
+ * @param {Object} provider - Git hosting provider from getProvider()
+ * @returns {boolean} True if a clone was moved
  */
-export async function createFork(org, repo) {
-  try {
-    console.log(`   🍴 Creating fork of ${org}/${repo}...`);
-    await $`gh repo fork ${org}/${repo} --clone=false`;
-    console.log(`   ✅ Successfully forked ${org}/${repo}`);
-    return true;
-  } catch (error) {
-    console.error(`   ❌ Error: Failed to fork ${org}/${repo}`);
+export async function migrateFlatClone(workspaceDir, org, repo, provider = getProvider()) {
+  const repoDir = workspaceRepoDir(workspaceDir, org, repo);
+  if (await fs.pathExists(path.join(repoDir, '.git'))) {
     return false;
   }
+
+  const flatDir = await findFlatClone(workspaceDir, org, repo, provider);
+  if (!flatDir) {
+    return false;
+  }
+
+  console.log(`   📦 Moving ${flatDir} to ${repoDir} (workspace clones are now namespaced by org)`);
+  // Go through a temporary name: the org directory may be the flat clone itself (org named like the repo)
+  const movingDir = `${flatDir}.moving`;
+  await fs.move(flatDir, movingDir);
+  await fs.move(movingDir, repoDir);
+  await $`git -C ${repoDir} worktree repair`.nothrow();
+  await $`git -C ${repoDir} worktree prune`.nothrow();
+  return true;
 }
 
 /**
- * Clone a repository (always full clone for worktree support)
- * @param {string} username - GitHub username
- * @param {string} repo - Repository name
- * @param {string} repoDir - Local directory path
- * @returns {boolean} True if successful
+ * Read the owner of the fork a workspace clone was cloned from
+ * Works in the clone and in its worktrees, which share its config.
+ * @param {string} repoDir - Clone or worktree directory
+ * @returns {string|null} Fork owner, or null if not recorded
+ */
+export async function readForkOwner(repoDir) {
+  if (!(await fs.pathExists(repoDir))) {
+    return null;
+  }
+
+  const result = await $`git -C ${repoDir} config --get ${FORK_OWNER_CONFIG}`.nothrow().quiet();
+  return result.stdout.trim() || null;
+}
+
+/**
+ * Read the name of the fork repository recorded in a workspace clone or worktree
+ * It differs from the upstream name when the user already had a repository of
+ * that name (see resolveFork()).
+ * @param {string} repoDir - Clone or worktree directory
+ * @returns {string|null} Fork name, or null if not recorded
+ */
+export async function readForkName(repoDir) {
+  if (!(await fs.pathExists(repoDir))) {
+    return null;
+  }
+
+  const result = await $`git -C ${repoDir} config --get ${FORK_NAME_CONFIG}`.nothrow().quiet();
+  return result.stdout.trim() || null;
+}
+
+/**
+ * Record the owner and name of the fork a workspace clone was cloned from
+ * Clones made before the fork was recorded get both from their origin URL.
+ * @param {string} repoDir - Clone directory
+ * @param {string} [owner] - Fork owner (default: the owner in the origin URL)
+ * @param {string} [forkName] - Fork repository name (default: the name in the origin URL)
+ * @returns {string|null} Recorded owner, or null if it could not be determined
  */
-export async function cloneRepository(username, repo, repoDir) {
+export async function recordForkOwner(repoDir, owner = null, forkName = null) {
+  if (!owner || !forkName) {
+    const origin = await $`git -C ${repoDir} remote get-url origin`.nothrow().quiet();
+    const match = origin.stdout.trim().match(/[/:]([^/:]+)\/([^/]+?)(?:\.git)?\/?$/);
+    owner = owner || match?.[1] || null;
+    forkName = forkName || match?.[2] || null;
+  }
+
+  if (owner) {
+    await $`git -C ${repoDir} config ${FORK_OWNER_CONFIG} ${owner}`.nothrow();
+  }
+  if (forkName) {
+    await $`git -C ${repoDir} config ${FORK_NAME_CONFIG} ${forkName}`.nothrow();
+  }
+  return owner;
+}
+
+/**
+ * Find the user's fork of an upstream repository
+ * The fork is named like the upstream repository unless the user already has
+ * a repository of that name that is not a fork of it (e.g. a fork of the
+ * same-named repository of another org); then it is named <org>-<repo>.
+ * @param {Object} provider - Git hosting provider from getProvider()
+ * @param {string} username - Fork owner
+ * @param {string} org - Upstream organization
+ * @param {string} repo - Upstream repository name
+ * @returns {Object} Fork {forkName, exists}
+ */
+export async function resolveFork(provider, username, org, repo) {
+  if (await provider.hasFork(username, org, repo)) {
+    return { forkName: repo, exists: true };
+  }
+  if (!(await provider.getRepositoryInfo(username, repo)).exists) {
+    return { forkName: repo, exists: false };
+  }
+
+  const forkName = `${org}-${repo}`;
+  return { forkName, exists: await provider.hasFork(username, org, repo, forkName) };
+}
+
+/**
+ * List the branches of a repository on the server with git ls-remote
+ * @param {string} url - Repository URL
+ * @returns {string[]|null} Branch names, or null if the repository is unreachable
+ */
+export async function lsRemoteBranches(url) {
   try {
-    console.log(`   📥 Cloning ${username}/${repo} to workspace (full clone for worktree support)...`);
-    await $`gh repo clone ${username}/${repo} ${repoDir}`;
-    return true;
+    const result = await $`git ls-remote --heads ${url}`.quiet();
+    return result.stdout
+      .split('\n')
+      .map(line => line.split('\t')[1])
+      .filter(Boolean)
+      .map(ref => ref.replace(/^refs\/heads\//, ''));
   } catch (error) {
-    console.error(`   ❌ Error: Failed to clone ${username}/${repo}`);
-    return false;
+    return null;
   }
 }
 
@@ -76,22 +196,17 @@ export async function cloneRepository(username, repo, repoDir) {
  * @param {string} repoDir - Local repository directory
  * @param {string} org - Organization name
  * @param {string} repo - Repository name
+ * @param {Object} provider - Git hosting provider from getProvider()
  * @returns {boolean} True if successful
  */
-export async function configureUpstream(repoDir, org, repo) {
-  const upstreamUrl = `https://github.com/${org}/${repo}.git`;
+export async function configureUpstream(repoDir, org, repo, provider = getProvider()) {
+  const upstreamUrl = provider.upstreamUrl(org, repo);
 
   try {
     console.log(`   🔗 Configuring upstream remote to ${org}/${repo}...`);
 
-    // Check if upstream remote exists
-    let hasUpstream = false;
-    try {
-      await $`git -C ${repoDir} remote get-url upstream`;
-      hasUpstream = true;
-    } catch (error) {
-      hasUpstream = false;
-    }
+    // Check if upstream remote exists; a fresh clone has none, so git's error is not shown
+    const hasUpstream = (await $`git -C ${repoDir} remote get-url upstream`.nothrow().quiet()).exitCode === 0;
 
     if (hasUpstream) {
       console.log(`   🔄 Upstream remote exists, updating to ${upstreamUrl}`);
@@ -113,9 +228,10 @@ export async function configureUpstream(repoDir, org, repo) {
  * @param {string} repoDir - Local repository directory
  * @param {string} org - Organization name
  * @param {string} repo - Repository name
+ * @param {Object} provider - Git hosting provider from getProvider()
  * @returns {boolean} True if successful
  */
-export async function updateUpstreamRemote(repoDir, org, repo) {
+export async function updateUpstreamRemote(repoDir, org, repo, provider = getProvider()) {
   try {
     console.log(`   🔗 Verifying upstream remote for ${org}/${repo}...`);
 
@@ -127,7 +243,7 @@ export async function updateUpstreamRemote(repoDir, org, repo) {
       // No upstream remote
     }
 
-    const expectedUpstream = `https://github.com/${org}/${repo}.git`;
+    const expectedUpstream = provider.upstreamUrl(org, repo);
 
     if (currentUpstream !== expectedUpstream) {
       console.log(`   🔄 Updating upstream from ${currentUpstream} to ${expectedUpstream}`);
@@ -149,13 +265,37 @@ export async function updateUpstreamRemote(repoDir, org, repo) {
 
 /**
  * Fetch latest branches from all remotes
+ * With a branch selector, only the selected branches of the upstream and
+ * origin remotes are fetched; the selector gets each remote's branch list
+ * from git ls-remote.
  * @param {string} repoDir - Local repository directory
+ * @param {Function} [selectBranches] - (branches) => branches to fetch; fetches everything when omitted
  * @returns {boolean} True if successful
  */
-export async function fetchLatestBranches(repoDir) {
+export async function fetchLatestBranches(repoDir, selectBranches = null) {
   try {
-    console.log(`   🔄 Fetching latest branches from all remotes...`);
-    await $`git -C ${repoDir} fetch --all`;
+    if (!selectBranches) {
+      console.log(`   🔄 Fetching latest branches from all remotes...`);
+      await $`git -C ${repoDir} fetch --all`;
+    } else {
+      for (const remote of ['upstream', 'origin']) {
+        const url = (await $`git -C ${repoDir} remote get-url ${remote}`.nothrow().quiet()).stdout.trim();
+        const available = url ? await lsRemoteBranches(url) : null;
+        if (available === null) {
+          // Without its upstream there is nothing to generate from; the fork is optional
+          if (remote === 'upstream') {
+            throw new Error(`Could not list the branches of ${remote}`);
+          }
+          continue;
+        }
+
+        const branches = selectBranches(available);
+        if (branches.length > 0) {
+          console.log(`   🔄 Fetching ${branches.length} target branch(es) from ${remote}...`);
+          await $`git -C ${repoDir} fetch ${remote} ${branches.map(branch => `+refs/heads/${branch}:refs/remotes/${remote}/${branch}`)}`;
+        }
+      }
+    }
     console.log(`   ✅ Successfully fetched latest branches`);
     return true;
   } catch (error) {
@@ -165,54 +305,191 @@ export async function fetchLatestBranches(repoDir) {
 }
 
 /**
- * Ensure repository exists in workspace (always uses full clone for worktree support)
+ * List the branches of a remote as known from the last fetch
+ * @param {string} repoDir - Local repository directory
+ * @param {string} remote - Remote name
+ * @returns {string[]} Branch names without the remote prefix
+ */
+export async function listRemoteBranches(repoDir, remote = 'upstream') {
+  try {
+    const result = await $`git -C ${repoDir} for-each-ref ${'--format=%(refname)'} refs/remotes/${remote}/`;
+    const prefix = `refs/remotes/${remote}/`;
+    return result.stdout
+      .split('\n')
+      .map(ref => ref.trim())
+      .filter(ref => ref.startsWith(prefix))
+      .map(ref => ref.substring(prefix.length))
+      .filter(branch => branch && branch !== 'HEAD');
+  } catch (error) {
+    console.error(`   ❌ Error: Failed to list branches of remote ${remote}`);
+    return [];
+  }
+}
+
+/**
+ * Get the directory of an upstream repository's mirror in the mirror cache
+ * @param {string} mirrorDir - Mirror cache directory
+ * @param {string} org - Organization name
+ * @param {string} repo - Repository name
+ * @param {Object} provider - Git hosting provider from getProvider()
+ * @returns {string} Mirror directory, <mirrorDir>/<host>/<org>/<repo>.git
+ */
+export function mirrorRepoDir(mirrorDir, org, repo, provider = getProvider()) {
+  const host = provider.host.replace(/^[a-z]+:\/\//, '').replace(/[^\w.-]+/g, '_');
+  return path.join(mirrorDir, host, org, `${repo}.git`);
+}
+
+/**
+ * Turn off automatic gc and object pruning in a mirror
+ * @param {string} mirror - Mirror directory
+ */
+async function keepMirrorObjects(mirror) {
+  await $`git -C ${mirror} config gc.auto 0`;
+  await $`git -C ${mirror} config gc.pruneExpire never`;
+  await $`git -C ${mirror} config fetch.prune false`;
+}
+
+/**
+ * Create or update the mirror of an upstream repository in the mirror cache
+ * The cache can be shared by several workspaces and bundles; clones made
+ * with the reference strategy borrow its objects, so it must not be deleted
+ * while they exist. A new mirror is cloned under a temporary name and
+ * renamed, so a concurrent run never sees a half-made one.
+ * Objects are never dropped from a mirror: updates do not prune deleted
+ * branches, and automatic gc and pruning are turned off, since a reference
+ * clone may still need commits the upstream no longer has.
+ * @param {string} mirrorDir - Mirror cache directory
+ * @param {string} org - Organization name
+ * @param {string} repo - Repository name
+ * @param {Object} provider - Git hosting provider from getProvider()
+ * @returns {string|null} Mirror directory, or null if it could not be created or updated
+ */
+export async function ensureMirror(mirrorDir, org, repo, provider = getProvider()) {
+  const mirror = mirrorRepoDir(mirrorDir, org, repo, provider);
+
+  try {
+    if (await fs.pathExists(mirror)) {
+      console.log(`   🪞 Updating mirror ${mirror}...`);
+      // Mirrors made before gc was turned off get the settings too
+      await keepMirrorObjects(mirror);
+      await $`git -C ${mirror} remote update`;
+    } else {
+      console.log(`   🪞 Creating mirror ${mirror}...`);
+      const partial = `${mirror}.${process.pid}.tmp`;
+      await fs.ensureDir(path.dirname(mirror));
+      await $`git clone --mirror --quiet ${provider.upstreamUrl(org, repo)} ${partial}`;
+      await keepMirrorObjects(partial);
+      await fs.move(partial, mirror);
+    }
+    return mirror;
+  } catch (error) {
+    console.warn(`   ⚠️  Warning: Could not update the mirror of ${org}/${repo}: ${(error.stderr || error.message || '').trim()}`);
+    return null;
+  }
+}
+
+/**
+ * Build the git clone arguments of a clone strategy
+ * @param {string} org - Organization name
+ * @param {string} repo - Repository name
+ * @param {Object} provider - Git hosting provider from getProvider()
+ * @param {Object} options - Clone options {cloneStrategy, mirrorDir}
+ * @returns {string[]} git clone arguments; a reference clone without a usable mirror falls back to a full clone
+ */
+async function cloneArguments(org, repo, provider, { cloneStrategy = 'full', mirrorDir = null }) {
+  if (cloneStrategy === 'blobless') {
+    return ['--filter=blob:none'];
+  }
+
+  if (cloneStrategy === 'reference') {
+    const mirror = await ensureMirror(mirrorDir, org, repo, provider);
+    if (mirror) {
+      return ['--reference', path.resolve(mirror)];
+    }
+    console.warn(`   ⚠️  Warning: Falling back to a full clone of ${org}/${repo}`);
+  }
+
+  return [];
+}
+
+/**
+ * Ensure repository exists in workspace
+ * The clone lives in workspace/<org>/<repo>; a clone in the old flat layout is
+ * moved there first (see migrateFlatClone()). New clones are made with the
+ * configured clone strategy (see CLONE_STRATEGIES); worktrees work with all
+ * of them. The fork is found with resolveFork(); its owner and name are
+ * recorded in the clone (see readForkOwner() and readForkName()).
  * @param {string} org - Organization name
  * @param {string} repo - Repository name
  * @param {string} workspaceDir - Workspace directory path
- * @returns {boolean} True if successful
+ * @param {Object} provider - Git hosting provider from getProvider() (default: github.com)
+ * @param {Object} [options] - Setup options
+ * @param {string} [options.cloneStrategy] - One of CLONE_STRATEGIES (default: full)
+ * @param {string} [options.mirrorDir] - Mirror cache directory for the reference strategy
+ * @param {Function} [options.selectBranches] - Branch selector for fetchLatestBranches(); fetches everything when omitted
+ * @returns {Object} Setup {success, cloned, cloneDuration, fetchDuration}; durations in seconds
  */
-export async function ensureRepoExists(org, repo, workspaceDir) {
-  const repoDir = path.join(workspaceDir, repo);
+export async function ensureRepoExists(org, repo, workspaceDir, provider = getProvider(), options = {}) {
+  const repoDir = workspaceRepoDir(workspaceDir, org, repo);
+  const setup = { success: false, cloned: false, cloneDuration: 0, fetchDuration: 0 };
+  await migrateFlatClone(workspaceDir, org, repo, provider);
+
+  const fetch = async () => {
+    const fetchStart = Date.now();
+    await fetchLatestBranches(repoDir, options.selectBranches);
+    setup.fetchDuration = calculateDuration(fetchStart, Date.now());
+  };
 
   // Check if repository already exists
   if (await fs.pathExists(repoDir)) {
-    console.log(`   ✅ Repository ${repo} already exists in workspace`);
-    await updateUpstreamRemote(repoDir, org, repo);
-    await fetchLatestBranches(repoDir);
-    return true;
+    console.log(`   ✅ Repository ${org}/${repo} already exists in workspace`);
+    await updateUpstreamRemote(repoDir, org, repo, provider);
+    if (!(await readForkOwner(repoDir)) || !(await readForkName(repoDir))) {
+      await recordForkOwner(repoDir);
+    }
+    await fetch();
+    return { ...setup, success: true };
   }
 
-  console.log(`   🔍 Repository ${repo} not found in workspace, checking for fork...`);
+  console.log(`   🔍 Repository ${org}/${repo} not found in workspace, checking for fork on ${provider.label}...`);
 
-  // Get current GitHub username
-  const currentUser = await getCurrentGitHubUser();
+  // Get current user on the provider
+  const currentUser = await provider.getCurrentUser();
 
   // Check if fork exists, create if not
-  const forkExists = await hasFork(currentUser, repo);
+  const { forkName, exists: forkExists } = await resolveFork(provider, currentUser, org, repo);
   if (!forkExists) {
-    const created = await createFork(org, repo);
+    if (forkName !== repo) {
+      console.log(`   ℹ️  ${currentUser}/${repo} is not a fork of ${org}/${repo}, using ${currentUser}/${forkName}`);
+    }
+    const created = await provider.createFork(org, repo, forkName);
     if (!created) {
-      return false;
+      return setup;
     }
   } else {
-    console.log(`   ✅ Fork ${currentUser}/${repo} already exists`);
+    console.log(`   ✅ Fork ${currentUser}/${forkName} already exists`);
   }
 
-  // Clone the repository (always full clone for worktree support)
-  const cloned = await cloneRepository(currentUser, repo, repoDir);
+  // Clone the repository
+  await fs.ensureDir(path.dirname(repoDir));
+  const cloneStart = Date.now();
+  const cloned = await provider.cloneRepository(currentUser, forkName, repoDir, await cloneArguments(org, repo, provider, options));
+  setup.cloneDuration = calculateDuration(cloneStart, Date.now());
   if (!cloned) {
-    return false;
+    return setup;
   }
+  setup.cloned = true;
+  await recordForkOwner(repoDir, currentUser, forkName);
 
   // Configure upstream remote
-  const configured = await configureUpstream(repoDir, org, repo);
+  const configured = await configureUpstream(repoDir, org, repo, provider);
   if (!configured) {
-    return false;
+    return setup;
   }
 
   // Fetch latest branches
-  await fetchLatestBranches(repoDir);
+  await fetch();
 
-  console.log(`   ✅ Successfully set up repository ${repo} in workspace`);
-  return true;
+  console.log(`   ✅ Successfully set up repository ${org}/${repo} in workspace`);
+  return { ...setup, success: true };
 }
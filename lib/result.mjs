@@ -0,0 +1,222 @@
+#!/usr/bin/env zx
+
+import { $, fs, path } from 'zx';
+import { extractUsage } from './usage.mjs';
+
+/**
+ * Name of the structured result file written into each task directory
+ */
+export const RESULT_FILE = 'result.json';
+
+/**
+ * Instructions appended to every task so the agent reports its outcome in a
+ * machine-readable form that parseAgentReport() understands
+ */
+export const REPORT_INSTRUCTIONS = `When you are finished, end your final response with a fenced \`json\` block reporting the outcome:
+
+\`\`\`json
+{"pass": "yes", "result": "<short summary of what was done>", "pr_url": "<pull request URL, or empty>", "branch": "<feature branch name, or empty>"}
+\`\`\`
+
+If the task could not be completed, set \`"pass": "no"\` and explain why in \`result\`.`;
+
+/**
+ * Parse stream-json agent output into its final result message
+ * @param {string} rawOutput - Raw agent output (one JSON message per line)
+ * @returns {Object|null} The `result` message, or null if none was emitted
+ */
+export function parseResultMessage(rawOutput) {
+  let resultMessage = null;
+
+  for (const line of rawOutput.split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('{')) {
+      continue;
+    }
+
+    try {
+      const message = JSON.parse(trimmed);
+      if (message.type === 'result') {
+        resultMessage = message;
+      }
+    } catch {
+      // Not a JSON message (e.g. stderr noise), ignore
+    }
+  }
+
+  return resultMessage;
+}
+
+/**
+ * Turn an execution.log line into readable text, for the dashboard and report
+ * Agent logs are stream-json, so JSON messages are reduced to their text or
+ * tool call; other lines are shown as they are.
+ * @param {string} line - Log line
+ * @returns {string} Readable line
+ */
+export function describeLogLine(line) {
+  let message;
+  try {
+    message = JSON.parse(line);
+  } catch {
+    return line;
+  }
+
+  const content = message?.message?.content;
+  if (Array.isArray(content)) {
+    const text = content.find(part => part.type === 'text')?.text;
+    if (text) {
+      return text;
+    }
+    const tool = content.find(part => part.type === 'tool_use');
+    if (tool) {
+      const detail = tool.input?.command || tool.input?.file_path || '';
+      return `🔧 ${tool.name}${detail ? `: ${detail}` : ''}`;
+    }
+  }
+
+  if (message?.type === 'result') {
+    return `🏁 ${message.subtype || 'result'}`;
+  }
+  return message?.type ? `[${message.type}]` : line;
+}
+
+/**
+ * Extract the pass/fail report from the agent's final response text
+ * @param {string} text - Final response text
+ * @returns {Object|null} Report {pass, result, pr_url, branch}, or null if not found
+ */
+export function parseAgentReport(text) {
+  if (!text) {
+    return null;
+  }
+
+  // Use the last JSON block that carries a "pass" field
+  const blocks = [...text.matchAll(/```(?:json)?\s*\n([\s\S]*?)```/g)].map(match => match[1]);
+  for (const block of blocks.reverse()) {
+    try {
+      const report = JSON.parse(block);
+      if (report && typeof report === 'object' && 'pass' in report) {
+        return report;
+      }
+    } catch {
+      // Not valid JSON, try the previous block
+    }
+  }
+
+  // Fall back to the plain "pass: yes/no" form GUIDE.md used to ask for
+  const passMatch = text.match(/^\W*pass\W*:\s*\**\s*(yes|no)\b/im);
+  if (passMatch) {
+    const resultMatch = text.match(/^\W*result\W*:\s*(.+)$/im);
+    return {
+      pass: passMatch[1].toLowerCase(),
+      result: resultMatch ? resultMatch[1].trim() : '',
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Normalize a reported pass value ("yes", "no", true, false) to a boolean
+ * @param {*} value - Reported pass value
+ * @returns {boolean} True if the agent reported success
+ */
+function isPassValue(value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  return ['yes', 'true', 'pass', 'passed'].includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * Find a pull request (or GitLab merge request) URL in free text
+ * @param {string} text - Text to search
+ * @returns {string|null} Pull request URL, or null if none found
+ */
+function findPullRequestUrl(text) {
+  const match = (text || '').match(/https:\/\/[^\s)>\]"'`]+\/(?:pull|merge_requests)\/\d+/);
+  return match ? match[0] : null;
+}
+
+/**
+ * Get the branch currently checked out in a worktree
+ * @param {string} repoCodePath - Worktree path
+ * @returns {string|null} Branch name, or null if detached or unavailable
+ */
+export async function getCheckedOutBranch(repoCodePath) {
+  try {
+    const result = await $`git -C ${repoCodePath} rev-parse --abbrev-ref HEAD`;
+    const branch = result.stdout.trim();
+    return branch && branch !== 'HEAD' ? branch : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build the structured task result from the agent output
+ * @param {Object} options - Result inputs
+ * @param {string} options.rawOutput - Raw agent output
+ * @param {number|null} options.exitCode - Agent process exit code
+ * @param {string} [options.repoCodePath] - Worktree path, used to detect the feature branch
+ * @returns {Object} Result {pass, summary, prUrl, featureBranch, sessionId, usage, exitCode, retryable}
+ */
+export async function buildTaskResult({ rawOutput, exitCode, repoCodePath }) {
+  const resultMessage = parseResultMessage(rawOutput);
+  const finalText = resultMessage?.result || '';
+  const report = parseAgentReport(finalText);
+
+  let pass = false;
+  let summary;
+
+  if (!resultMessage) {
+    summary = `Agent produced no result message (exit code ${exitCode})`;
+  } else if (resultMessage.is_error) {
+    summary = `Agent run ended with an error (${resultMessage.subtype || 'unknown'})`;
+  } else if (!report) {
+    summary = 'Agent did not report a pass/fail result';
+  } else {
+    pass = isPassValue(report.pass) && exitCode === 0;
+    summary = report.result || '';
+  }
+
+  let featureBranch = report?.branch || null;
+  if (!featureBranch && repoCodePath) {
+    featureBranch = await getCheckedOutBranch(repoCodePath);
+  }
+
+  return {
+    pass,
+    summary,
+    prUrl: report?.pr_url || findPullRequestUrl(finalText),
+    featureBranch,
+    sessionId: resultMessage?.session_id || null,
+    usage: extractUsage(resultMessage),
+    exitCode,
+    // The agent never finished a session (crash, API or network error), so a retry may help
+    retryable: !resultMessage || Boolean(resultMessage.is_error),
+  };
+}
+
+/**
+ * Write result.json into a task directory
+ * @param {string} taskDir - Task directory
+ * @param {Object} result - Task result
+ */
+export async function writeTaskResult(taskDir, result) {
+  await fs.writeJson(path.join(taskDir, RESULT_FILE), result, { spaces: 2 });
+}
+
+/**
+ * Read result.json from a task directory
+ * @param {string} taskDir - Task directory
+ * @returns {Object|null} Task result, or null if missing or unreadable
+ */
+export async function readTaskResult(taskDir) {
+  try {
+    return await fs.readJson(path.join(taskDir, RESULT_FILE));
+  } catch {
+    return null;
+  }
+}
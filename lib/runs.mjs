@@ -0,0 +1,297 @@
+#!/usr/bin/env zx
+
+import { $, fs, path, chalk } from 'zx';
+import { extractTaskInfo } from './executor.mjs';
+import { loadRunState, TaskStatus, TaskOutcome } from './state.mjs';
+import { formatTimestamp } from './utils.mjs';
+import { LATEST_RUN } from './config.mjs';
+
+/**
+ * List the runs of a bundle, oldest first
+ * Run directories are named after their start time, so they sort by age.
+ * @param {string} runsDir - The bundle's runs directory (runs/<bundle>)
+ * @returns {Array} Runs [{name, path}]
+ */
+export async function listRuns(runsDir) {
+  if (!(await fs.pathExists(runsDir))) {
+    return [];
+  }
+
+  const runs = [];
+  for (const entry of (await fs.readdir(runsDir)).sort()) {
+    const runPath = path.join(runsDir, entry);
+    if (entry !== LATEST_RUN && (await fs.lstat(runPath)).isDirectory()) {
+      runs.push({ name: entry, path: runPath });
+    }
+  }
+  return runs;
+}
+
+/**
+ * Find the directory of a bundle's most recent run
+ * @param {string} runsDir - The bundle's runs directory (runs/<bundle>)
+ * @returns {string|null} Run directory, or null before the first generation
+ */
+export async function resolveLatestRun(runsDir) {
+  const latest = path.join(runsDir, LATEST_RUN);
+  try {
+    return path.join(runsDir, await fs.readlink(latest));
+  } catch {
+    // No pointer (yet), or a file system without symlinks: fall back to the newest run
+    return (await listRuns(runsDir)).pop()?.path || null;
+  }
+}
+
+/**
+ * Find the directory of a run by name
+ * @param {string} runsDir - The bundle's runs directory (runs/<bundle>)
+ * @param {string} name - Run name, or "latest"
+ * @returns {string} Run directory
+ * @throws {Error} If the run does not exist
+ */
+export async function resolveRun(runsDir, name) {
+  const runPath = name === LATEST_RUN ? await resolveLatestRun(runsDir) : path.join(runsDir, name);
+  if (!runPath || !(await fs.pathExists(runPath))) {
+    const names = (await listRuns(runsDir)).map(run => run.name);
+    throw new Error(`Run '${name}' not found in ${runsDir}${names.length ? ` (available: ${names.join(', ')})` : ''}`);
+  }
+  return runPath;
+}
+
+/**
+ * List the repository worktrees of a bundle's earlier runs that still exist
+ * @param {string} runsDir - The bundle's runs directory (runs/<bundle>)
+ * @param {string} currentRunPath - Run directory of the new run, which is left out
+ * @returns {string[]} Worktree paths
+ */
+async function listEarlierRunWorktrees(runsDir, currentRunPath) {
+  const worktrees = [];
+
+  for (const run of await listRuns(runsDir)) {
+    if (path.resolve(run.path) === path.resolve(currentRunPath)) {
+      continue;
+    }
+    for (const entry of await fs.readdir(run.path)) {
+      const taskFile = path.join(run.path, entry, 'task.md');
+      if (!(await fs.pathExists(taskFile))) {
+        continue;
+      }
+
+      const { repoCodePath } = await extractTaskInfo(taskFile);
+      if (repoCodePath && (await fs.pathExists(repoCodePath))) {
+        worktrees.push(repoCodePath);
+      }
+    }
+  }
+
+  return worktrees;
+}
+
+/**
+ * Detach the worktrees of a bundle's earlier runs from their branches
+ * A branch can only be checked out in one worktree, so the feature branches
+ * the new run checks out are released first. Detaching keeps the files,
+ * including uncommitted changes, and the branches keep their commits.
+ * @param {string} runsDir - The bundle's runs directory (runs/<bundle>)
+ * @param {string} currentRunPath - Run directory of the new run
+ */
+export async function releaseRunBranches(runsDir, currentRunPath) {
+  for (const worktree of await listEarlierRunWorktrees(runsDir, currentRunPath)) {
+    await $`git -C ${worktree} checkout --quiet --detach`.nothrow().quiet();
+  }
+}
+
+/**
+ * Remove the repository worktrees of a bundle's earlier runs
+ * Their task.md, logs, results and reports stay as the run history. Only
+ * clean worktrees are removed (`git worktree remove` without --force), so
+ * uncommitted work is never lost; `clean --force` removes the rest.
+ * @param {string} runsDir - The bundle's runs directory (runs/<bundle>)
+ * @param {string} currentRunPath - Run directory of the new run, whose worktrees stay
+ * @returns {Object} Counts {removed, kept}; kept worktrees have uncommitted changes or could not be removed
+ */
+export async function retireRunWorktrees(runsDir, currentRunPath) {
+  const counts = { removed: 0, kept: 0 };
+
+  for (const worktree of await listEarlierRunWorktrees(runsDir, currentRunPath)) {
+    const result = await $`git -C ${worktree} worktree remove ${worktree}`.nothrow().quiet();
+    if (result.exitCode === 0) {
+      counts.removed++;
+    } else {
+      console.warn(`⚠️  Keeping worktree ${worktree}: ${result.stderr.trim().split('\n')[0]}`);
+      counts.kept++;
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Start a new run of a bundle
+ * Creates runs/<bundle>/<timestamp>/ and points "latest" at it. The worktrees
+ * of earlier runs are left alone; generation retires them once the new run
+ * has tasks (see retireRunWorktrees()).
+ * @param {string} runsDir - The bundle's runs directory (runs/<bundle>)
+ * @returns {string} New run directory
+ */
+export async function startRun(runsDir) {
+  const timestamp = formatTimestamp().replace(' ', '_').replace(/:/g, '-');
+  let name = timestamp;
+  for (let suffix = 2; await fs.pathExists(path.join(runsDir, name)); suffix++) {
+    name = `${timestamp}-${suffix}`;
+  }
+
+  const runPath = path.join(runsDir, name);
+  await fs.ensureDir(runPath);
+
+  const latest = path.join(runsDir, LATEST_RUN);
+  await fs.remove(latest);
+  try {
+    await fs.symlink(name, latest);
+  } catch (error) {
+    console.warn(`⚠️  Warning: Could not point ${latest} at ${name}: ${error.message}`);
+  }
+
+  console.log(`🗂️  New run: ${runPath}`);
+  return runPath;
+}
+
+/**
+ * Read the tasks of a run with their recorded status and outcome
+ * @param {string} runPath - Run directory
+ * @returns {Array} Tasks [{taskName, key, org, repo, branch, status, outcome}]; key is "org/repo@branch"
+ */
+async function readRunTasks(runPath) {
+  const state = await loadRunState(runPath);
+  const tasks = [];
+
+  for (const entry of (await fs.readdir(runPath)).sort()) {
+    const taskFile = path.join(runPath, entry, 'task.md');
+    if (!(await fs.pathExists(taskFile))) {
+      continue;
+    }
+
+    const { org, repo, branch } = await extractTaskInfo(taskFile);
+    const recorded = state.tasks[entry] || {};
+    tasks.push({
+      taskName: entry,
+      key: `${org}/${repo}@${branch}`,
+      org,
+      repo,
+      branch,
+      status: recorded.status || null,
+      outcome: recorded.outcome || null,
+    });
+  }
+
+  return tasks;
+}
+
+/**
+ * Summarize every run of a bundle
+ * @param {string} runsDir - The bundle's runs directory (runs/<bundle>)
+ * @returns {Array} Runs, oldest first [{name, path, latest, total, passed, failed, timedOut, interrupted, notRun, prs}]
+ */
+export async function collectRunHistory(runsDir) {
+  const latest = await resolveLatestRun(runsDir);
+  const history = [];
+
+  for (const run of await listRuns(runsDir)) {
+    const tasks = await readRunTasks(run.path);
+    const count = status => tasks.filter(task => task.status === status).length;
+    history.push({
+      name: run.name,
+      path: run.path,
+      latest: run.path === latest,
+      total: tasks.length,
+      passed: count(TaskStatus.PASSED),
+      failed: count(TaskStatus.FAILED),
+      timedOut: count(TaskStatus.TIMED_OUT),
+      interrupted: count(TaskStatus.INTERRUPTED),
+      notRun: tasks.filter(task => !task.status || task.status === TaskStatus.PENDING || task.status === TaskStatus.SKIPPED_BUDGET).length,
+      prs: tasks.filter(task => task.outcome === TaskOutcome.PR_OPENED).length,
+    });
+  }
+
+  return history;
+}
+
+/**
+ * Print the run history table of a bundle
+ * @param {Array} history - Runs from collectRunHistory()
+ */
+export function printRunHistory(history) {
+  const headers = ['Run', 'Tasks', 'Passed', 'Failed', 'Timed out', 'Interrupted', 'Not run', 'PRs'];
+  const rows = history.map(run => [
+    `${run.name}${run.latest ? ` (${LATEST_RUN})` : ''}`,
+    ...[run.total, run.passed, run.failed, run.timedOut, run.interrupted, run.notRun, run.prs].map(String),
+  ]);
+  const widths = headers.map((header, index) => Math.max(header.length, ...rows.map(row => row[index].length)));
+  const format = row => row.map((cell, index) => (index === 0 ? cell.padEnd(widths[index]) : cell.padStart(widths[index]))).join('  ');
+
+  console.log(chalk.bold(format(headers)));
+  for (const [index, row] of rows.entries()) {
+    const run = history[index];
+    const line = format(row);
+    console.log(run.failed + run.timedOut > 0 ? chalk.red(line) : run.passed === run.total && run.total > 0 ? chalk.green(line) : line);
+  }
+}
+
+/**
+ * Compare the task outcomes of two runs
+ * Tasks are matched by org/repo@branch, since task numbers can shift between
+ * generations.
+ * @param {string} fromPath - Earlier run directory
+ * @param {string} toPath - Later run directory
+ * @returns {Array} Changes [{key, change: added|removed|changed, from: {status, outcome}, to: {status, outcome}}]; unchanged tasks are left out
+ */
+export async function diffRuns(fromPath, toPath) {
+  const before = new Map((await readRunTasks(fromPath)).map(task => [task.key, task]));
+  const after = new Map((await readRunTasks(toPath)).map(task => [task.key, task]));
+  const describe = task => (task ? { status: task.status, outcome: task.outcome } : null);
+  const changes = [];
+
+  for (const key of [...new Set([...before.keys(), ...after.keys()])].sort()) {
+    const from = before.get(key);
+    const to = after.get(key);
+    let change = null;
+    if (!from) {
+      change = 'added';
+    } else if (!to) {
+      change = 'removed';
+    } else if (from.status !== to.status || from.outcome !== to.outcome) {
+      change = 'changed';
+    }
+
+    if (change) {
+      changes.push({ key, change, from: describe(from), to: describe(to) });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Print the changes between two runs
+ * @param {Array} changes - Changes from diffRuns()
+ */
+export function printRunDiff(changes) {
+  const label = state => (state ? `${state.status || 'not run'}${state.outcome ? ` (${state.outcome})` : ''}` : '—');
+  const width = Math.max(4, ...changes.map(change => change.key.length));
+
+  for (const change of changes) {
+    const from = label(change.from);
+    const to = label(change.to);
+    let icon = '🔀';
+    if (change.change === 'added') {
+      icon = '➕';
+    } else if (change.change === 'removed') {
+      icon = '➖';
+    } else if (change.to.status === TaskStatus.PASSED) {
+      icon = chalk.green('✅');
+    } else if (change.from.status === TaskStatus.PASSED) {
+      icon = chalk.red('❌');
+    }
+    console.log(`${icon} ${change.key.padEnd(width)}  ${from} → ${to}`);
+  }
+}
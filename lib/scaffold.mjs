@@ -0,0 +1,82 @@
+#!/usr/bin/env zx
+
+import { fs, path } from 'zx';
+
+/**
+ * target.yml template written by `init`
+ */
+const TARGET_TEMPLATE = `# Repositories and branches this bundle runs against.
+# Every repo is combined with every branch of its item.
+target:
+  - org: my-org                 # GitHub organization
+    # provider: gitlab          # github (default), github-enterprise, gitlab or git
+    # host: gitlab.example.com  # required for github-enterprise and git (base URL)
+    repos:
+      - my-repo
+      # - name: other-repo      # object form allows per-repo overrides:
+      #   task: tasks/other.md  #   task file relative to this bundle
+      #   vars: { key: value }  #   template variables for this repo
+      #   exclude: [release-1.0]
+    branches:
+      - main
+      # - pattern: release-*    # newest matching upstream branches
+      #   latest: 2
+    # exclude:                  # skip specific repo/branch pairs
+    #   - my-repo@main
+    # vars:                     # template variables for this item
+    #   goVersion: "1.22"
+`;
+
+/**
+ * task.md template written by `init`
+ */
+const TASK_TEMPLATE = `# Task Description
+
+<!--
+  Describe the change the agent should make in every target repository.
+  Template variables such as {{org}}, {{repo}}, {{branch}} and {{bundle}},
+  plus any "vars" from config.json or target.yml, are filled in per task.
+-->
+
+* Describe the change for {{org}}/{{repo}} on branch {{branch}}.
+* Describe how to verify it (for example \`make build\` and \`make test\`).
+* If the change cannot be completed, fail the task and explain why.
+`;
+
+/**
+ * config.json template written by `init`
+ */
+const CONFIG_TEMPLATE = {
+  maxJobs: 4,
+  vars: {},
+};
+
+/**
+ * Scaffold a new bundle directory with template files
+ * @param {string} bundlePath - Bundle directory to create
+ * @returns {string[]} Paths of the created files
+ * @throws {Error} If the directory already contains files
+ */
+export async function initBundle(bundlePath) {
+  if (!bundlePath) {
+    throw new Error('Bundle path is required.\nExample: zx gen-and-run-tasks.mjs init bundles/my-task');
+  }
+
+  if ((await fs.pathExists(bundlePath)) && (await fs.readdir(bundlePath)).length > 0) {
+    throw new Error(`Bundle directory '${bundlePath}' already exists and is not empty`);
+  }
+
+  await fs.ensureDir(bundlePath);
+
+  const files = [
+    [path.join(bundlePath, 'target.yml'), TARGET_TEMPLATE],
+    [path.join(bundlePath, 'task.md'), TASK_TEMPLATE],
+    [path.join(bundlePath, 'config.json'), `${JSON.stringify(CONFIG_TEMPLATE, null, 2)}\n`],
+  ];
+
+  for (const [filePath, content] of files) {
+    await fs.writeFile(filePath, content, 'utf-8');
+  }
+
+  return files.map(([filePath]) => filePath);
+}
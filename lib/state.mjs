@@ -0,0 +1,117 @@
+#!/usr/bin/env zx
+
+import { fs, path } from 'zx';
+
+/**
+ * Name of the run state file written into the output directory
+ */
+export const STATE_FILE = 'run-state.json';
+
+/**
+ * Task lifecycle states recorded in the run state file
+ */
+export const TaskStatus = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  PASSED: 'passed',
+  FAILED: 'failed',
+  TIMED_OUT: 'timed_out',
+  INTERRUPTED: 'interrupted',
+  SKIPPED_BUDGET: 'skipped_budget',
+};
+
+/**
+ * What a finished agent run left in its worktree, see inspectWorktree()
+ * Ordered from the furthest step reached to nothing at all.
+ */
+export const TaskOutcome = {
+  PR_OPENED: 'pr_opened',
+  PUSHED: 'pushed',
+  CHANGED: 'changed',
+  DIRTY: 'dirty',
+  NO_CHANGES: 'no_changes',
+};
+
+/**
+ * Load the run state file from an output directory
+ * @param {string} outputDir - Output directory containing task directories
+ * @returns {Object} Run state {updatedAt, tasks}, empty if no state file exists
+ */
+export async function loadRunState(outputDir) {
+  const statePath = path.join(outputDir, STATE_FILE);
+
+  try {
+    if (await fs.pathExists(statePath)) {
+      const state = await fs.readJson(statePath);
+      return { updatedAt: state.updatedAt || null, tasks: state.tasks || {} };
+    }
+  } catch (error) {
+    console.error(`⚠️  Warning: Error reading run state ${statePath}: ${error.message}`);
+  }
+
+  return { updatedAt: null, tasks: {} };
+}
+
+/**
+ * Create a run state tracker that persists every update to disk
+ * Writes are serialized so concurrent tasks never interleave partial files.
+ * @param {string} outputDir - Output directory containing task directories
+ * @param {Object} initialState - State returned by loadRunState()
+ * @returns {Object} Tracker {state, update(taskName, changes), flush()}
+ */
+export function createRunStateTracker(outputDir, initialState) {
+  const statePath = path.join(outputDir, STATE_FILE);
+  const state = { updatedAt: initialState.updatedAt, tasks: { ...initialState.tasks } };
+  let pendingWrite = Promise.resolve();
+
+  const persist = () => {
+    state.updatedAt = new Date().toISOString();
+    const snapshot = JSON.stringify(state, null, 2);
+
+    pendingWrite = pendingWrite.then(async () => {
+      // Write to a temp file first so an interrupted write never corrupts the state
+      const tempPath = `${statePath}.tmp`;
+      await fs.writeFile(tempPath, snapshot, 'utf-8');
+      await fs.rename(tempPath, statePath);
+    }).catch((error) => {
+      console.error(`⚠️  Warning: Error writing run state ${statePath}: ${error.message}`);
+    });
+
+    return pendingWrite;
+  };
+
+  return {
+    state,
+    update(taskName, changes) {
+      state.tasks[taskName] = { ...state.tasks[taskName], ...changes };
+      return persist();
+    },
+    flush() {
+      return pendingWrite;
+    },
+  };
+}
+
+/**
+ * Select the task files to run for the requested execution mode
+ * @param {string[]} taskFiles - All task file paths
+ * @param {Object} state - Run state
+ * @param {Object} config - Configuration object
+ * @returns {string[]} Task files to run
+ */
+export function selectTaskFiles(taskFiles, state, config) {
+  const statusOf = (taskFile) => state.tasks[path.basename(path.dirname(taskFile))]?.status;
+
+  if (config.retryFailed) {
+    const failedStatuses = [TaskStatus.FAILED, TaskStatus.TIMED_OUT];
+    return taskFiles.filter(taskFile => failedStatuses.includes(statusOf(taskFile)));
+  }
+
+  if (config.resume) {
+    // Never started (no record, pending or skipped over the run budget) or interrupted while running
+    const unfinishedStatuses = [undefined, TaskStatus.PENDING, TaskStatus.SKIPPED_BUDGET, TaskStatus.RUNNING, TaskStatus.INTERRUPTED];
+    return taskFiles.filter(taskFile => unfinishedStatuses.includes(statusOf(taskFile)));
+  }
+
+  return taskFiles;
+}
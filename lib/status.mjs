@@ -0,0 +1,182 @@
+#!/usr/bin/env zx
+
+import { fs, path, chalk } from 'zx';
+import pLimit from 'p-limit';
+import { extractTaskInfo } from './executor.mjs';
+import { readTaskResult } from './result.mjs';
+import { readPullRequest } from './publish.mjs';
+import { getProvider, isDefaultProvider } from './providers.mjs';
+import { readForkName, readForkOwner } from './repository.mjs';
+
+/**
+ * Check whether a task's pull request needs a human: failing checks or requested changes
+ * @param {Object} entry - Status entry from collectBundleStatus()
+ * @returns {boolean} True if the entry needs attention
+ */
+export function needsAttention(entry) {
+  return entry.state === 'open' && (entry.checks === 'failing' || entry.review === 'changes_requested');
+}
+
+/**
+ * Find the task directories of a bundle in the output directory
+ * Tasks generated before the bundle was recorded in task.md are included.
+ * @param {string} outputDir - Output directory with task directories
+ * @param {string} bundleName - Bundle name
+ * @returns {Array} Task infos from extractTaskInfo() with taskName
+ */
+async function findBundleTasks(outputDir, bundleName) {
+  if (!(await fs.pathExists(outputDir))) {
+    return [];
+  }
+
+  const tasks = [];
+  for (const entry of (await fs.readdir(outputDir)).sort()) {
+    const taskFile = path.join(outputDir, entry, 'task.md');
+    if (!(await fs.pathExists(taskFile))) {
+      continue;
+    }
+
+    const info = await extractTaskInfo(taskFile);
+    if (!info.bundle || info.bundle === bundleName) {
+      tasks.push({ taskName: entry, ...info });
+    }
+  }
+
+  return tasks;
+}
+
+/**
+ * Look up the pull request of every task of a bundle
+ * The pull request comes from the recorded run result when it has a URL,
+ * otherwise it is searched by the task's feature branch (from the result,
+ * pr.json or task.md).
+ * @param {Object} options - Status options
+ * @param {string} options.outputDir - Output directory with task directories
+ * @param {string} options.bundleName - Bundle name
+ * @param {number} options.maxJobs - Concurrent lookups
+ * @returns {Array} Entries {taskName, org, repo, branch, provider, head, source, url, number, title, state, draft, review, checks, mergeable, needsAttention, error}
+ */
+export async function collectBundleStatus({ outputDir, bundleName, maxJobs = 4 }) {
+  const tasks = await findBundleTasks(outputDir, bundleName);
+  const limit = pLimit(maxJobs);
+  const currentUsers = new Map();
+
+  // Look up the fork owner once per provider
+  const getCurrentUser = (provider) => {
+    const key = `${provider.type}|${provider.host}`;
+    if (!currentUsers.has(key)) {
+      currentUsers.set(key, provider.getCurrentUser().catch(() => null));
+    }
+    return currentUsers.get(key);
+  };
+
+  return Promise.all(tasks.map(task => limit(async () => {
+    const result = await readTaskResult(path.join(outputDir, task.taskName));
+    const pullRequest = await readPullRequest(path.join(outputDir, task.taskName));
+    const url = result?.prUrl || null;
+    const head = result?.featureBranch || pullRequest?.branch || task.featureBranch || null;
+    const entry = {
+      taskName: task.taskName,
+      org: task.org,
+      repo: task.repo,
+      branch: task.branch,
+      provider: task.provider,
+      head,
+      source: url ? 'result' : head ? 'branch' : null,
+      url,
+      number: null,
+      title: null,
+      state: 'none',
+      draft: false,
+      review: 'none',
+      checks: 'none',
+      mergeable: 'unknown',
+      needsAttention: false,
+      error: null,
+    };
+
+    if (!entry.source) {
+      entry.error = 'no pull request or feature branch recorded';
+      return entry;
+    }
+
+    try {
+      const provider = getProvider(task.provider || undefined);
+      const status = await provider.getPullRequestStatus({
+        org: task.org,
+        repo: task.repo,
+        url,
+        head,
+        username: url ? null : (await readForkOwner(task.repoCodePath)) || (await getCurrentUser(provider)),
+        forkName: (await readForkName(task.repoCodePath)) || task.repo,
+      });
+      if (status) {
+        Object.assign(entry, status);
+      } else {
+        entry.error = `no pull request found for ${head}`;
+      }
+    } catch (error) {
+      entry.error = (error.stderr || error.message || 'Unknown error').trim().split('\n')[0];
+    }
+
+    entry.needsAttention = needsAttention(entry);
+    return entry;
+  })));
+}
+
+/**
+ * Colorize a status value for the table
+ * @param {string} value - Status value
+ * @returns {string} Colored value
+ */
+function colorize(value) {
+  if (['merged', 'approved', 'passing', 'mergeable'].includes(value)) {
+    return chalk.green(value);
+  }
+  if (['closed', 'changes_requested', 'failing', 'conflicting'].includes(value)) {
+    return chalk.red(value);
+  }
+  if (['pending', 'review_required'].includes(value)) {
+    return chalk.yellow(value);
+  }
+  return value;
+}
+
+/**
+ * Print the status table and counts of a bundle's pull requests
+ * @param {Array} entries - Entries from collectBundleStatus()
+ */
+export function printStatusTable(entries) {
+  const rows = entries.map((entry) => {
+    const provider = entry.provider && !isDefaultProvider(entry.provider) ? `${entry.provider.host}:` : '';
+    return {
+      entry,
+      cells: [
+        `${provider}${entry.org}/${entry.repo}`,
+        entry.branch || '',
+        entry.number ? `#${entry.number}${entry.draft ? ' (draft)' : ''}` : '-',
+        entry.state,
+        entry.review,
+        entry.checks,
+        entry.mergeable,
+      ],
+    };
+  });
+
+  const headers = ['Repository', 'Branch', 'PR', 'State', 'Review', 'Checks', 'Mergeable'];
+  const widths = headers.map((header, index) => Math.max(header.length, ...rows.map(row => row.cells[index].length)));
+  const pad = (cells, color = value => value) => cells
+    .map((cell, index) => (index >= 3 ? color(cell) + ' '.repeat(widths[index] - cell.length) : cell.padEnd(widths[index])))
+    .join('  ');
+
+  console.log(chalk.bold(pad(headers)));
+  for (const { entry, cells } of rows) {
+    const note = entry.error ? chalk.gray(entry.error) : entry.url;
+    console.log(`${pad(cells, colorize)}  ${entry.needsAttention ? chalk.red('⚠️  ') : ''}${note || ''}`);
+  }
+
+  const count = state => entries.filter(entry => entry.state === state).length;
+  console.log('');
+  console.log(`📊 ${entries.length} task(s): ${count('open')} open, ${count('merged')} merged, ${count('closed')} closed, ${count('none')} without a pull request`);
+  console.log(`⚠️  Needs attention: ${entries.filter(entry => entry.needsAttention).length}`);
+}
@@ -1,18 +1,168 @@
 #!/usr/bin/env zx
 
-import { $, fs, path, chalk } from 'zx';
+import { $, fs, os, path, chalk } from 'zx';
 import YAML from 'yaml';
-import { ensureRepoExists } from './repository.mjs';
+import pLimit from 'p-limit';
+import { ensureRepoExists, listRemoteBranches, workspaceRepoDir } from './repository.mjs';
+import { REPORT_INSTRUCTIONS } from './result.mjs';
+import { discoveryKey, discoverRepositories, saveDiscoveryCache } from './discovery.mjs';
+import { getProvider, resolveProviderSpec } from './providers.mjs';
+import { BUILTIN_VARIABLES, assertTemplateVariablesDefined, renderTemplate, validateVariables } from './template.mjs';
+import { listPullRequestTemplates, loadPullRequestTemplates, renderPullRequest, writePullRequest } from './publish.mjs';
+import { startRun, releaseRunBranches, retireRunWorktrees } from './runs.mjs';
+import { RUN_HOOKS_LOG, resolveHooks, runHook, runHookEnvironment } from './hooks.mjs';
+import { calculateDuration, formatDuration } from './utils.mjs';
+
+/**
+ * Check whether a branch name is a pattern: a glob (`backplane-2.*`) or a `/regex/`
+ * @param {string} name - Branch name from target.yml
+ * @returns {boolean} True if the name must be resolved against upstream branches
+ */
+export function isBranchPattern(name) {
+  return /[*?[]/.test(name) || /^\/.+\/$/.test(name);
+}
+
+/**
+ * Normalize a repo or branch entry, which may be a plain name or an object with overrides
+ * Branch entries may also be patterns, either as a glob/regex string or as
+ * an object {pattern, latest} selecting the latest N matches by version.
+ * @param {string|Object} entry - Entry from target.yml
+ * @param {string} kind - Entry kind ("repo" or "branch"), used in error messages
+ * @returns {Object} Entry {name, pattern, latest, vars, task, guide, exclude}
+ */
+function normalizeTargetEntry(entry, kind) {
+  if (typeof entry === 'string') {
+    if (kind === 'branch' && isBranchPattern(entry)) {
+      return { name: null, pattern: entry, vars: {}, exclude: [] };
+    }
+    return { name: entry, vars: {}, exclude: [] };
+  }
+
+  if (kind === 'branch' && entry && typeof entry === 'object' && entry.pattern) {
+    if (entry.latest !== undefined && (!Number.isInteger(entry.latest) || entry.latest < 1)) {
+      throw new Error(`Invalid branch pattern ${JSON.stringify(entry)}: "latest" must be a positive integer`);
+    }
+    return { vars: {}, exclude: [], ...entry, name: null, pattern: String(entry.pattern) };
+  }
+
+  if (!entry || typeof entry !== 'object' || !entry.name) {
+    const expected = kind === 'branch' ? 'a name, a pattern, or an object with "name" or "pattern"' : 'a name or an object with "name"';
+    throw new Error(`Invalid ${kind} entry ${JSON.stringify(entry)}: expected ${expected}`);
+  }
+
+  return { vars: {}, exclude: [], ...entry, name: String(entry.name) };
+}
+
+/**
+ * Compile a branch pattern to a regular expression
+ * Globs support `*` (any characters except `/`), `**` (anything) and `?`;
+ * `/.../` strings are used as regular expressions.
+ * @param {string} pattern - Branch pattern
+ * @returns {RegExp} Compiled pattern
+ */
+function compileBranchPattern(pattern) {
+  const regexMatch = pattern.match(/^\/(.+)\/$/);
+  if (regexMatch) {
+    return new RegExp(regexMatch[1]);
+  }
+
+  const source = pattern
+    .replace(/[.+^${}()|\\]/g, '\\$&')
+    .replace(/\*\*/g, '\u0000')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\u0000/g, '.*')
+    .replace(/\?/g, '[^/]');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Compare two branch names by the version numbers they contain (release-2.9 < release-2.10)
+ * @param {string} a - Branch name
+ * @param {string} b - Branch name
+ * @returns {number} Negative, zero or positive, like Array.prototype.sort expects
+ */
+function compareBranchVersions(a, b) {
+  const versionA = (a.match(/\d+/g) || []).map(Number);
+  const versionB = (b.match(/\d+/g) || []).map(Number);
+
+  for (let i = 0; i < Math.max(versionA.length, versionB.length); i++) {
+    const diff = (versionA[i] ?? -1) - (versionB[i] ?? -1);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+
+  return a.localeCompare(b);
+}
+
+/**
+ * Select the branches matching a pattern, sorted by version
+ * @param {string[]} branches - Available branch names
+ * @param {Object} branchPattern - Pattern {pattern, latest}
+ * @returns {string[]} Matching branch names, oldest first
+ */
+export function matchBranchPattern(branches, { pattern, latest }) {
+  const regex = compileBranchPattern(pattern);
+  const matches = branches.filter(branch => regex.test(branch)).sort(compareBranchVersions);
+  return latest ? matches.slice(-latest) : matches;
+}
+
+/**
+ * Normalize item-level exclude rules
+ * Each rule is an object {repo, branch} (either may be omitted to match all)
+ * or a "repo@branch" string.
+ * @param {Array} exclude - Exclude rules from target.yml
+ * @returns {Array} Rules [{repo, branch}]
+ */
+function normalizeExcludeRules(exclude = []) {
+  if (!Array.isArray(exclude)) {
+    throw new Error('"exclude" must be a list');
+  }
+
+  return exclude.map((rule) => {
+    if (typeof rule === 'string') {
+      const [repo, branch] = rule.split('@');
+      return { repo: repo || undefined, branch: branch || undefined };
+    }
+    if (!rule || typeof rule !== 'object' || (!rule.repo && !rule.branch)) {
+      throw new Error(`Invalid exclude rule ${JSON.stringify(rule)}: expected "repo@branch" or {repo, branch}`);
+    }
+    return { repo: rule.repo, branch: rule.branch };
+  });
+}
+
+/**
+ * Check whether a repo/branch pair matches any exclude rule
+ * @param {Array} rules - Rules from normalizeExcludeRules()
+ * @param {string} repo - Repository name
+ * @param {string} branch - Branch name
+ * @returns {boolean} True if the pair is excluded
+ */
+function isExcluded(rules, repo, branch) {
+  return rules.some(rule => (!rule.repo || rule.repo === repo) && (!rule.branch || rule.branch === branch));
+}
 
 /**
  * Parse target.yml file
+ * Repos and branches may be plain names or objects carrying overrides:
+ * `vars` (merged item < branch < repo), `task` and `guide` (bundle-relative
+ * files, repo overrides item) and `exclude` (repo/branch pairs on the item,
+ * branch names on a repo). Branch patterns produce a single target with
+ * `branchPattern` set and `branch` null; see expandBranchPattern().
+ * An item may select its repos with `discover` instead of listing `repos`;
+ * see discoverRepositories() in lib/discovery.mjs. Items choose their git
+ * hosting with `provider` and `host` (default: github.com), see lib/providers.mjs.
  * @param {string} targetFile - Path to target.yml
- * @returns {Array} Array of {org, repo, branch} objects
+ * @param {Object} options - Parse options
+ * @param {Object} options.discovered - Filled with the discovery results by key {org, provider, discover, repos}
+ * @returns {Array} Array of {org, repo, branch, branchPattern, provider, vars, taskFile, guideFile} objects
  */
-export async function parseTargetFile(targetFile) {
+export async function parseTargetFile(targetFile, { discovered = {} } = {}) {
   try {
     const content = await fs.readFile(targetFile, 'utf-8');
     const data = YAML.parse(content);
+    const bundleDir = path.dirname(targetFile);
+    const resolveBundleFile = file => (file ? path.join(bundleDir, file) : null);
 
     if (!data || !data.target || !Array.isArray(data.target)) {
       throw new Error('Invalid target.yml format: missing or invalid "target" array');
@@ -21,19 +171,59 @@ export async function parseTargetFile(targetFile) {
     const targets = [];
 
     for (const item of data.target) {
-      if (!item.org || !item.repos || !item.branches) {
+      if (!item.org || (!item.repos && !item.discover) || !item.branches) {
         console.warn('⚠️  Warning: Skipping invalid target item:', item);
         continue;
       }
 
+      const provider = resolveProviderSpec({ type: item.provider, host: item.host });
+
+      // Select repos dynamically
+      let repos = item.repos;
+      if (!repos) {
+        const key = discoveryKey(item.org, item.discover, provider);
+        console.log(`🔎 Discovering repositories in ${item.org} on ${getProvider(provider).label}...`);
+        repos = await discoverRepositories(item.org, item.discover, getProvider(provider));
+        console.log(`   Found ${repos.length}: ${repos.join(', ') || '(none)'}`);
+        discovered[key] = { org: item.org, provider, discover: item.discover, repos };
+      }
+
+      const itemVars = item.vars || {};
+      validateVariables(itemVars, `${targetFile} (${item.org})`);
+      const excludeRules = normalizeExcludeRules(item.exclude);
+      const branches = item.branches.map(entry => normalizeTargetEntry(entry, 'branch'));
+
       // Generate all combinations of repos and branches for this org
-      for (const repo of item.repos) {
-        for (const branch of item.branches) {
-          targets.push({
+      for (const repoEntry of repos) {
+        const repoSpec = normalizeTargetEntry(repoEntry, 'repo');
+        validateVariables(repoSpec.vars, `${targetFile} (${item.org}/${repoSpec.name})`);
+
+        for (const branchSpec of branches) {
+          const branchLabel = branchSpec.name || branchSpec.pattern;
+          validateVariables(branchSpec.vars, `${targetFile} (${item.org}/${repoSpec.name}@${branchLabel})`);
+
+          const target = {
             org: item.org,
-            repo: repo,
-            branch: branch,
-          });
+            repo: repoSpec.name,
+            branch: branchSpec.name,
+            provider,
+            vars: { ...itemVars, ...branchSpec.vars, ...repoSpec.vars },
+            taskFile: resolveBundleFile(repoSpec.task || item.task),
+            guideFile: resolveBundleFile(repoSpec.guide || item.guide),
+          };
+
+          if (branchSpec.pattern) {
+            // Patterns are expanded after the repository is fetched; excludes apply then
+            target.branchPattern = { pattern: branchSpec.pattern, latest: branchSpec.latest };
+            target.excludeRules = [
+              ...excludeRules.filter(rule => !rule.repo || rule.repo === repoSpec.name),
+              ...repoSpec.exclude.map(branch => ({ repo: repoSpec.name, branch })),
+            ];
+          } else if (isExcluded(excludeRules, repoSpec.name, branchSpec.name) || repoSpec.exclude.includes(branchSpec.name)) {
+            continue;
+          }
+
+          targets.push(target);
         }
       }
     }
@@ -44,6 +234,20 @@ export async function parseTargetFile(targetFile) {
   }
 }
 
+/**
+ * Expand a pattern target into one target per matching upstream branch
+ * @param {Object} target - Target with `branchPattern` set
+ * @param {string[]} upstreamBranches - Branch names available on the upstream remote
+ * @returns {Array} Concrete targets, empty if nothing matched
+ */
+export function expandBranchPattern(target, upstreamBranches) {
+  const { branchPattern, excludeRules = [], ...rest } = target;
+
+  return matchBranchPattern(upstreamBranches, branchPattern)
+    .filter(branch => !isExcluded(excludeRules, target.repo, branch))
+    .map(branch => ({ ...rest, branch }));
+}
+
 /**
  * Sanitize branch name for use in directory names
  * @param {string} branch - Branch name
@@ -53,15 +257,35 @@ export function sanitizeBranchName(branch) {
   return branch.replace(/\//g, '_');
 }
 
+/**
+ * Build the task directory name for a target
+ * The org is part of the name, so same-named repositories of different orgs
+ * are told apart.
+ * @param {number} taskIndex - Task number (1-based)
+ * @param {string} org - Organization name
+ * @param {string} repo - Repository name
+ * @param {string} branch - Branch name
+ * @returns {string} Directory name, e.g. 001_my-org_repo_release-2.11
+ */
+export function formatTaskDirName(taskIndex, org, repo, branch) {
+  return `${String(taskIndex).padStart(3, '0')}_${org}_${repo}_${sanitizeBranchName(branch)}`;
+}
+
 /**
  * Create git worktree for a branch in a repository subdirectory
+ * Without a feature branch the worktree is detached at the branch; with one,
+ * the feature branch is (re)created at the branch and checked out. A feature
+ * branch that already has commits (e.g. of an earlier run's pull request) is
+ * kept as <featureBranch>-before-<runName> instead of being reset.
  * @param {string} repoDir - Repository directory in workspace
  * @param {string} taskDirPath - Path for the task directory (parent)
  * @param {string} branch - Branch name
  * @param {string} repo - Repository name (for subdirectory)
+ * @param {string} [featureBranch] - Feature branch to check out
+ * @param {string} [runName] - Name of the new run, for keeping an earlier feature branch
  * @returns {string|null} Path to the worktree subdirectory, or null if failed
  */
-export async function createWorktree(repoDir, taskDirPath, branch, repo) {
+export async function createWorktree(repoDir, taskDirPath, branch, repo, featureBranch = null, runName = 'previous') {
   try {
     console.log(`   🌲 Creating worktree for branch ${branch}...`);
 
@@ -74,12 +298,12 @@ export async function createWorktree(repoDir, taskDirPath, branch, repo) {
     // Check if branch exists locally, if not try upstream/branch, then origin/branch
     let branchRef = branch;
     try {
-      await $`git -C ${repoDir} rev-parse --verify ${branch}`;
+      await $`git -C ${repoDir} rev-parse --verify ${branch}`.quiet();
     } catch {
       // Branch doesn't exist locally, try upstream/branch first (for forked repos)
       console.log(`   📍 Branch ${branch} not found locally, trying upstream/${branch}...`);
       try {
-        await $`git -C ${repoDir} rev-parse --verify upstream/${branch}`;
+        await $`git -C ${repoDir} rev-parse --verify upstream/${branch}`.quiet();
         branchRef = `upstream/${branch}`;
         console.log(`   ✅ Found branch on upstream remote`);
       } catch {
@@ -90,7 +314,18 @@ export async function createWorktree(repoDir, taskDirPath, branch, repo) {
     }
 
     // Create worktree in subdirectory
-    await $`git -C ${repoDir} worktree add ${worktreeRepoPath} ${branchRef}`;
+    if (featureBranch) {
+      const ahead = await $`git -C ${repoDir} rev-list --count ${`${branchRef}..refs/heads/${featureBranch}`}`.nothrow().quiet();
+      if (ahead.exitCode === 0 && Number(ahead.stdout.trim()) > 0) {
+        const keptBranch = `${featureBranch}-before-${runName}`;
+        console.log(`   📌 Keeping the earlier commits of ${featureBranch} as ${keptBranch}`);
+        await $`git -C ${repoDir} branch -m ${featureBranch} ${keptBranch}`;
+      }
+      console.log(`   🌿 Checking out feature branch ${featureBranch}`);
+      await $`git -C ${repoDir} worktree add -B ${featureBranch} ${worktreeRepoPath} ${branchRef}`;
+    } else {
+      await $`git -C ${repoDir} worktree add ${worktreeRepoPath} ${branchRef}`;
+    }
     console.log(`   ✅ Successfully created worktree at ${worktreeRepoPath}`);
     return worktreeRepoPath;
   } catch (error) {
@@ -101,23 +336,60 @@ export async function createWorktree(repoDir, taskDirPath, branch, repo) {
 }
 
 /**
- * Generate task file content
+ * Build the template variables for one task
+ * User-defined variables come from the bundle config; built-ins always win.
  * @param {Object} target - Target object {org, repo, branch}
+ * @param {Object} context - Generation context
+ * @param {string} context.bundleName - Bundle directory name
+ * @param {string} context.date - Generation date (YYYY-MM-DD)
+ * @param {number} context.taskIndex - Task number (1-based)
+ * @param {Object} context.vars - User-defined variables from the bundle config
+ * @returns {Object} Variable values by name
+ */
+export function buildTemplateVariables(target, { bundleName, date, taskIndex, vars = {} }) {
+  const { org, repo, branch } = target;
+
+  return {
+    ...vars,
+    org,
+    repo,
+    branch,
+    sanitizedBranch: sanitizeBranchName(branch),
+    bundle: bundleName,
+    date,
+    taskIndex,
+  };
+}
+
+/**
+ * Generate task file content
+ * @param {Object} target - Target object {org, repo, branch, provider}
  * @param {string} taskDirPath - Task directory path (parent directory)
  * @param {string} worktreeRepoPath - Worktree repository subdirectory path
  * @param {string} guideContent - Guide content
  * @param {string} taskContent - Task content
+ * @param {Object} [options] - Task details
+ * @param {string} [options.bundle] - Name of the bundle the task was generated from
+ * @param {string} [options.featureBranch] - Feature branch managed by the orchestrator
  * @returns {string} Generated task file content
  */
-export function generateTaskContent(target, taskDirPath, worktreeRepoPath, guideContent, taskContent) {
+export function generateTaskContent(target, taskDirPath, worktreeRepoPath, guideContent, taskContent, { bundle = null, featureBranch = null } = {}) {
   const { org, repo, branch } = target;
+  const provider = resolveProviderSpec(target.provider);
+  const managedBranch = featureBranch ? `
+## Branch and Pull Request
+Branch \`${featureBranch}\` is already checked out in the repository code directory. Commit your changes on it (signed off, as the guide requires), but do not create other branches, push, or open a pull request: the orchestrator pushes the branch and opens the pull request after you finish. Leave \`pr_url\` empty in your report.
+` : '';
 
   return `# Task: ${repo}/${branch} (from ${org}/${repo})
 
 ## Repository Info
 - **Organization**: ${org}
 - **Repository**: ${repo}
-- **Branch**: ${branch}
+- **Branch**: ${branch}${featureBranch ? `
+- **Feature Branch**: ${featureBranch}` : ''}
+- **Provider**: ${provider.type} (${provider.host})${bundle ? `
+- **Bundle**: ${bundle}` : ''}
 - **Task Directory**: ${taskDirPath}
 - **Repository Code**: ${worktreeRepoPath}
 
@@ -130,58 +402,153 @@ ${guideContent}
 <task>
 ${taskContent}
 </task>
+${managedBranch}
+## Report
+${REPORT_INSTRUCTIONS}
 `;
 }
 
+/**
+ * Name of the repository setup record written into the run directory
+ */
+export const REPO_SETUP_FILE = 'repo-setup.json';
+
+/**
+ * Build the branch selector of fetchScope "targets" for one repository
+ * @param {Array} repoTargets - The repository's targets, explicit branches and branch patterns
+ * @returns {Function} (branches) => the branches the targets name or their patterns match
+ */
+function selectTargetBranches(repoTargets) {
+  return (available) => {
+    const wanted = new Set(repoTargets.flatMap(target => (target.branchPattern
+      ? expandBranchPattern(target, available).map(expanded => expanded.branch)
+      : [target.branch])));
+    return available.filter(branch => wanted.has(branch));
+  };
+}
+
+/**
+ * Record how each repository was set up, so clone strategies and fetch scopes can be compared
+ * @param {string} outputDir - Run directory
+ * @param {Object} config - Configuration {cloneStrategy, fetchScope}
+ * @param {Array} repoSetups - Setups [{org, repo, provider, success, cloned, cloneDuration, fetchDuration}]
+ */
+async function saveRepoSetupRecord(outputDir, { cloneStrategy, fetchScope }, repoSetups) {
+  await fs.writeJson(path.join(outputDir, REPO_SETUP_FILE), { cloneStrategy, fetchScope, repos: repoSetups }, { spaces: 2 });
+}
+
+/**
+ * Create a queue that runs functions one at a time per key, in call order
+ * Git operations on one workspace clone share its lock files, so they go
+ * through the clone's queue; different clones proceed in parallel.
+ * @returns {Function} serialize(key, fn) - Runs fn after the key's earlier functions, resolves to fn's result
+ */
+function createKeyedQueue() {
+  const tails = new Map();
+
+  return (key, fn) => {
+    const run = (tails.get(key) || Promise.resolve()).then(fn);
+    tails.set(key, run.catch(() => {}));
+    return run;
+  };
+}
+
 /**
  * Generate all task files
+ * task.md and the guide (or a target's own task/guide override) are rendered
+ * as templates for every target, see lib/template.mjs. With a "pr" section in
+ * the config, each worktree gets a named feature branch and pr.json holds the
+ * rendered pull request (see lib/publish.mjs).
+ * Every generation starts a new run directory under runs/<bundle>/, see
+ * startRun(); earlier runs are kept as history, and their clean worktrees are
+ * removed once the new run has at least one task.
+ * Each repository is set up (forked, cloned, fetched) once, however many
+ * targets it has; setups and worktree creation run concurrently under the
+ * maxJobs limit, with git operations on one clone serialized.
  * @param {Object} paths - File paths configuration
- * @returns {number} Number of generated tasks
+ * @param {Object} config - Configuration object
+ * @returns {Object} {generatedCount, outputDir} - Number of generated tasks and the new run directory
  */
-export async function generateTasks(paths) {
-  const { targetFile, taskFile, guideFile, outputDir, workspaceDir } = paths;
+export async function generateTasks(paths, config = {}) {
+  const { targetFile, taskFile, guideFile, runsDir, workspaceDir, bundleName } = paths;
+  const vars = config.vars || {};
 
   // Validate required files exist
   if (!(await fs.pathExists(targetFile))) {
     throw new Error(`${targetFile} not found`);
   }
-  if (!(await fs.pathExists(taskFile))) {
-    throw new Error(`${taskFile} not found`);
-  }
-  if (!(await fs.pathExists(guideFile))) {
-    throw new Error(`${guideFile} not found`);
-  }
-
-  // Read task and guide content
-  const taskContent = (await fs.readFile(taskFile, 'utf-8'))
-    .split('\n')
-    .filter(line => line.trim())
-    .join('\n');
-
-  const guideContent = (await fs.readFile(guideFile, 'utf-8'))
-    .split('\n')
-    .filter(line => line.trim())
-    .join('\n');
 
   // Parse target file
   console.log(`📂 Parsing ${targetFile}...`);
-  const targets = await parseTargetFile(targetFile);
-  console.log(`📋 Found ${targets.length} target combinations`);
+  const discovered = {};
+  const targets = await parseTargetFile(targetFile, { discovered });
+  const patternCount = targets.filter(target => target.branchPattern).length;
+  console.log(`📋 Found ${targets.length} target combinations${patternCount ? ` (${patternCount} branch pattern(s) resolved after fetching)` : ''}`);
+
+  // Read every task and guide file referenced by the bundle or a target override
+  const contents = new Map();
+  const readContent = async (file) => {
+    if (!contents.has(file)) {
+      if (!(await fs.pathExists(file))) {
+        throw new Error(`${file} not found`);
+      }
+      const content = (await fs.readFile(file, 'utf-8'))
+        .split('\n')
+        .filter(line => line.trim())
+        .join('\n');
+      contents.set(file, content);
+    }
+    return contents.get(file);
+  };
 
-  // Clean and create output directory
-  console.log(`🧹 Cleaning up existing tasks directory...`);
-  await fs.remove(outputDir);
-  await fs.ensureDir(outputDir);
+  for (const target of targets) {
+    target.taskFile = target.taskFile || taskFile;
+    target.guideFile = target.guideFile || guideFile;
+  }
+  const prTemplates = config.pr ? await loadPullRequestTemplates(config.pr, paths.bundleDir) : null;
+
+  // Fail on missing files and undefined template variables before touching any repository
+  for (const target of targets) {
+    const definedVariables = [...BUILTIN_VARIABLES, ...Object.keys(vars), ...Object.keys(target.vars)];
+    assertTemplateVariablesDefined(await readContent(target.taskFile), definedVariables, target.taskFile);
+    assertTemplateVariablesDefined(await readContent(target.guideFile), definedVariables, target.guideFile);
+    for (const { text, source } of prTemplates ? listPullRequestTemplates(prTemplates) : []) {
+      assertTemplateVariablesDefined(text, definedVariables, source);
+    }
+  }
+  const generationDate = new Date().toISOString().substring(0, 10);
+
+  // Bundle-level setup before anything is touched; a failure stops generation
+  // before a new run exists, so the latest run and its worktrees stay as they are.
+  // The output is buffered in a temporary log until the run directory exists.
+  const hooks = await resolveHooks(paths.bundleDir, config.hooks);
+  const preGenerateDir = await fs.mkdtemp(path.join(os.tmpdir(), 'preGenerate-'));
+  const preGenerateLog = path.join(preGenerateDir, RUN_HOOKS_LOG);
+  const preGenerate = await runHook('preGenerate', hooks.preGenerate, {
+    cwd: paths.bundleDir,
+    logFile: preGenerateLog,
+    env: runHookEnvironment({ bundleDir: paths.bundleDir, runDir: null }),
+  });
+  if (!preGenerate.pass) {
+    throw new Error(`preGenerate hook failed: ${preGenerate.command} (exit ${preGenerate.exitCode}), see ${preGenerateLog}`);
+  }
+
+  // Start a new run; earlier runs keep their logs and results
+  const outputDir = await startRun(runsDir);
+  if (await fs.pathExists(preGenerateLog)) {
+    await fs.move(preGenerateLog, path.join(outputDir, RUN_HOOKS_LOG));
+  }
+  await fs.remove(preGenerateDir);
+
+  // Keep the discovered repo lists with the tasks generated from them
+  await saveDiscoveryCache(outputDir, discovered);
 
   // Create workspace directory
   await fs.ensureDir(workspaceDir);
 
   // Clean up any existing worktrees from previous runs
   console.log(`🧹 Cleaning up any stale worktrees...`);
-  for (const target of targets) {
-    const { repo } = target;
-    const repoDir = path.join(workspaceDir, repo);
-
+  for (const repoDir of new Set(targets.map(target => workspaceRepoDir(workspaceDir, target.org, target.repo)))) {
     if (await fs.pathExists(repoDir)) {
       try {
         await $`git -C ${repoDir} worktree prune`;
@@ -191,48 +558,161 @@ export async function generateTasks(paths) {
     }
   }
 
-  // Generate task files with worktrees
-  console.log(`📂 Generating task worktrees in ${outputDir} directory...`);
-  let taskCounter = 1;
-  let successCount = 0;
+  const { maxJobs } = config;
+  const limit = pLimit(maxJobs);
+  const serialize = createKeyedQueue();
+  const generationStart = Date.now();
+
+  // Set up every repository once (fork, clone, fetch), concurrently; git
+  // operations on the same workspace clone take turns
+  const setupKey = target => `${target.provider?.host || ''}|${target.org}/${target.repo}`;
+  const setups = new Map();
+  const setupCount = new Set(targets.map(setupKey)).size;
+  console.log(`🔧 Setting up ${setupCount} repositories (up to ${maxJobs} at a time)...`);
 
   for (const target of targets) {
-    const { org, repo, branch } = target;
+    const key = setupKey(target);
+    if (setups.has(key)) {
+      continue;
+    }
 
-    // Ensure repository exists in workspace
-    console.log(`🔧 Setting up repository: ${org}/${repo}`);
-    const setupSuccess = await ensureRepoExists(org, repo, workspaceDir);
+    const { org, repo } = target;
+    const options = {
+      cloneStrategy: config.cloneStrategy,
+      mirrorDir: config.mirrorDir,
+      selectBranches: config.fetchScope === 'targets' ? selectTargetBranches(targets.filter(other => setupKey(other) === key)) : null,
+    };
+    setups.set(key, serialize(workspaceRepoDir(workspaceDir, org, repo), () => limit(async () => {
+      console.log(`🔧 Setting up repository: ${org}/${repo}`);
+      const setupStart = Date.now();
+      const setup = await ensureRepoExists(org, repo, workspaceDir, getProvider(target.provider), options);
+      const timings = `${setup.cloned ? `clone ${formatDuration(setup.cloneDuration)}, ` : ''}fetch ${formatDuration(setup.fetchDuration)}`;
+      console.log(`   ⏱️  ${org}/${repo} ${setup.success ? 'ready' : 'failed'} after ${formatDuration(calculateDuration(setupStart, Date.now()))} (${timings})`);
+      return { org, repo, provider: target.provider, ...setup };
+    })));
+  }
+
+  // Number the tasks in target order, so task directories do not depend on which setup finished first
+  let taskCounter = 1;
+  const tasks = [];
+  const unmatchedPatterns = [];
+  const generatedTargets = new Set();
+
+  for (const patternOrTarget of targets) {
+    const { org, repo } = patternOrTarget;
 
-    if (!setupSuccess) {
+    if (!(await setups.get(setupKey(patternOrTarget))).success) {
       console.warn(`⚠️  Warning: Failed to set up repository ${org}/${repo}, skipping...`);
       continue;
     }
 
+    const repoDir = workspaceRepoDir(workspaceDir, org, repo);
+
+    // Resolve branch patterns against the freshly fetched upstream branches
+    let expandedTargets = [patternOrTarget];
+    if (patternOrTarget.branchPattern) {
+      const { pattern, latest } = patternOrTarget.branchPattern;
+      const patternLabel = latest ? `${pattern} (latest ${latest})` : pattern;
+      expandedTargets = expandBranchPattern(patternOrTarget, await listRemoteBranches(repoDir, 'upstream'));
+
+      if (expandedTargets.length === 0) {
+        console.warn(`⚠️  Warning: Branch pattern ${patternLabel} matched no upstream branches in ${org}/${repo}`);
+        unmatchedPatterns.push(`${org}/${repo}: ${patternLabel}`);
+        continue;
+      }
+      console.log(`   🔎 Branch pattern ${patternLabel} → ${expandedTargets.map(target => target.branch).join(', ')}`);
+    }
+
+    for (const target of expandedTargets) {
+      // A pattern may match a branch that is also listed explicitly
+      const targetKey = `${org}/${repo}@${target.branch}`;
+      if (generatedTargets.has(targetKey)) {
+        console.log(`   ⏭️  ${targetKey} already generated, skipping duplicate`);
+        continue;
+      }
+      generatedTargets.add(targetKey);
+
+      tasks.push({ target, repoDir, taskIndex: taskCounter });
+      taskCounter++;
+    }
+  }
+  const setupDuration = calculateDuration(generationStart, Date.now());
+  const repoSetups = await Promise.all(setups.values());
+  await saveRepoSetupRecord(outputDir, config, repoSetups);
+
+  // Create one worktree and task.md per task
+  const createTask = async ({ target, repoDir, taskIndex }) => {
+    const { org, repo, branch } = target;
+
     // Create worktree directory
-    const sanitizedBranch = sanitizeBranchName(branch);
-    const taskDirName = `${String(taskCounter).padStart(3, '0')}_${repo}_${sanitizedBranch}`;
+    const taskDirName = formatTaskDirName(taskIndex, org, repo, branch);
     const taskDirPath = path.resolve(path.join(outputDir, taskDirName));
-    const repoDir = path.join(workspaceDir, repo);
+
+    const variables = buildTemplateVariables(target, {
+      bundleName,
+      date: generationDate,
+      taskIndex,
+      vars: { ...vars, ...target.vars },
+    });
+    const pullRequest = prTemplates ? renderPullRequest(prTemplates, variables) : null;
 
     // Create worktree in subdirectory
     console.log(`   🌲 Creating worktree: ${taskDirName}/${repo}`);
-    const worktreeRepoPath = await createWorktree(repoDir, taskDirPath, branch, repo);
+    const worktreeRepoPath = await createWorktree(repoDir, taskDirPath, branch, repo, pullRequest?.branch, path.basename(outputDir));
 
     if (!worktreeRepoPath) {
       console.warn(`⚠️  Warning: Failed to create worktree for ${org}/${repo}@${branch}, skipping...`);
-      continue;
+      return false;
     }
 
     // Generate task.md file at task directory root (NOT inside worktree)
     const taskFilePath = path.join(taskDirPath, 'task.md');
-    const taskFileContent = generateTaskContent(target, taskDirPath, worktreeRepoPath, guideContent, taskContent);
+    const taskFileContent = generateTaskContent(
+      target,
+      taskDirPath,
+      worktreeRepoPath,
+      renderTemplate(await readContent(target.guideFile), variables, target.guideFile),
+      renderTemplate(await readContent(target.taskFile), variables, target.taskFile),
+      { bundle: bundleName, featureBranch: pullRequest?.branch },
+    );
 
     await fs.writeFile(taskFilePath, taskFileContent, 'utf-8');
+    if (pullRequest) {
+      await writePullRequest(taskDirPath, pullRequest);
+    }
     console.log(`   ✅ Created: ${taskDirName}/task.md`);
+    return true;
+  };
+
+  // Worktrees of different repositories are created concurrently, those of one repository one at a time
+  console.log(`📂 Generating ${tasks.length} task worktrees in ${outputDir} directory...`);
+  const worktreeStart = Date.now();
+  await releaseRunBranches(runsDir, outputDir);
+  const created = await Promise.all(tasks.map(task => serialize(task.repoDir, () => limit(() => createTask(task)))));
+  const successCount = created.filter(Boolean).length;
+  const worktreeDuration = calculateDuration(worktreeStart, Date.now());
+
+  // The earlier runs' checkouts are only dropped once this run has replaced them
+  if (successCount > 0) {
+    const retired = await retireRunWorktrees(runsDir, outputDir);
+    if (retired.removed > 0 || retired.kept > 0) {
+      console.log(`🧹 Removed ${retired.removed} worktree(s) of earlier runs (their logs and results are kept)${retired.kept ? `, kept ${retired.kept} with uncommitted changes` : ''}`);
+    }
+  }
 
-    taskCounter++;
-    successCount++;
+  console.log('');
+  const sumOf = field => repoSetups.reduce((sum, setup) => sum + setup[field], 0);
+  console.log(`⏱️  Repository setup: ${formatDuration(setupDuration)} for ${setupCount} repositories (${config.cloneStrategy} clones, ${config.fetchScope === 'targets' ? 'target' : 'all'} branches; clone ${formatDuration(sumOf('cloneDuration'))}, fetch ${formatDuration(sumOf('fetchDuration'))} in total)`);
+  console.log(`⏱️  Worktrees:        ${formatDuration(worktreeDuration)} for ${tasks.length} tasks`);
+  console.log(`⏱️  Generation total: ${formatDuration(calculateDuration(generationStart, Date.now()))}`);
+
+  if (unmatchedPatterns.length > 0) {
+    console.warn('');
+    console.warn(`⚠️  ${unmatchedPatterns.length} branch pattern(s) matched nothing:`);
+    for (const entry of unmatchedPatterns) {
+      console.warn(`   - ${entry}`);
+    }
   }
 
-  return successCount;
+  return { generatedCount: successCount, outputDir };
 }
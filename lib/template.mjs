@@ -0,0 +1,89 @@
+#!/usr/bin/env zx
+
+/**
+ * Matches `{{ name }}` placeholders. Names must start with a letter or underscore,
+ * so Go/Helm templates such as `{{ .Values.image }}` pass through untouched.
+ * A leading backslash (`\{{ name }}`) escapes the placeholder.
+ */
+const PLACEHOLDER_PATTERN = /(\\?)\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+/**
+ * Names of the variables the generator always provides
+ */
+export const BUILTIN_VARIABLES = ['org', 'repo', 'branch', 'sanitizedBranch', 'bundle', 'date', 'taskIndex'];
+
+/**
+ * Validate a set of user-defined template variables
+ * @param {*} vars - Variables object to validate
+ * @param {string} source - Where the variables were defined, used in error messages
+ * @throws {Error} If the variables are malformed or redefine a built-in
+ */
+export function validateVariables(vars, source) {
+  if (!vars || typeof vars !== 'object' || Array.isArray(vars)) {
+    throw new Error(`"vars" in ${source} must be an object mapping variable names to values`);
+  }
+
+  for (const [name, value] of Object.entries(vars)) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+      throw new Error(`Invalid template variable name "${name}" in ${source}: use letters, digits and underscores`);
+    }
+    if (BUILTIN_VARIABLES.includes(name)) {
+      throw new Error(`Template variable "${name}" in ${source} is built in and cannot be redefined`);
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+      throw new Error(`Template variable "${name}" in ${source} must be a string, number or boolean`);
+    }
+  }
+}
+
+/**
+ * List the variable names referenced by a template
+ * @param {string} text - Template text
+ * @returns {string[]} Unique variable names, in order of first use
+ */
+export function listTemplateVariables(text) {
+  const names = [];
+
+  for (const [, escape, name] of text.matchAll(PLACEHOLDER_PATTERN)) {
+    if (!escape && !names.includes(name)) {
+      names.push(name);
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Check that every variable a template references is defined
+ * @param {string} text - Template text
+ * @param {string[]} definedNames - Names of the defined variables
+ * @param {string} source - Template source (file path) used in the error message
+ * @throws {Error} If the template references undefined variables
+ */
+export function assertTemplateVariablesDefined(text, definedNames, source) {
+  const undefinedNames = listTemplateVariables(text).filter(name => !definedNames.includes(name));
+
+  if (undefinedNames.length > 0) {
+    const list = undefinedNames.map(name => `{{${name}}}`).join(', ');
+    throw new Error(`Undefined template variable(s) in ${source}: ${list}\nDefine them under "vars" in the bundle config.json or use one of: ${definedNames.join(', ')}`);
+  }
+}
+
+/**
+ * Render `{{ name }}` placeholders in a template
+ * @param {string} text - Template text
+ * @param {Object} variables - Variable values by name
+ * @param {string} source - Template source (file path) used in the error message
+ * @returns {string} Rendered text
+ * @throws {Error} If the template references undefined variables
+ */
+export function renderTemplate(text, variables, source) {
+  assertTemplateVariablesDefined(text, Object.keys(variables), source);
+
+  return text.replace(PLACEHOLDER_PATTERN, (placeholder, escape, name) => {
+    if (escape) {
+      return placeholder.slice(1);
+    }
+    return String(variables[name]);
+  });
+}
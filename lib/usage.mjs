@@ -0,0 +1,164 @@
+#!/usr/bin/env zx
+
+/**
+ * Read the token usage, cost and turns of an agent run from its result message
+ * Claude's stream-json result message carries `usage`, `total_cost_usd` and
+ * `num_turns`; agents that report none of them have no usage.
+ * @param {Object} resultMessage - Final `type: result` message from parseResultMessage()
+ * @returns {Object|null} Usage {inputTokens, outputTokens, cacheCreationTokens, cacheReadTokens, costUsd, turns}, or null
+ */
+export function extractUsage(resultMessage) {
+  if (!resultMessage) {
+    return null;
+  }
+
+  const { usage = {} } = resultMessage;
+  const costUsd = resultMessage.total_cost_usd ?? resultMessage.cost_usd;
+  if (!resultMessage.usage && costUsd === undefined && resultMessage.num_turns === undefined) {
+    return null;
+  }
+
+  return {
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cacheCreationTokens: usage.cache_creation_input_tokens || 0,
+    cacheReadTokens: usage.cache_read_input_tokens || 0,
+    costUsd: costUsd || 0,
+    turns: resultMessage.num_turns || 0,
+  };
+}
+
+/**
+ * Add up the usage of several agent runs
+ * @param {...Object} usages - Usage from extractUsage(); null entries are skipped
+ * @returns {Object|null} Summed usage, or null when no run reported any
+ */
+export function addUsage(...usages) {
+  const reported = usages.filter(Boolean);
+  if (reported.length === 0) {
+    return null;
+  }
+
+  return reported.reduce((sum, usage) => Object.fromEntries(
+    Object.keys(sum).map(key => [key, sum[key] + (usage[key] || 0)]),
+  ), { inputTokens: 0, outputTokens: 0, cacheCreationTokens: 0, cacheReadTokens: 0, costUsd: 0, turns: 0 });
+}
+
+/**
+ * Format an amount in US dollars
+ * @param {number} costUsd - Amount
+ * @returns {string} e.g. "$0.42"
+ */
+export function formatCost(costUsd) {
+  return `$${(costUsd || 0).toFixed(2)}`;
+}
+
+/**
+ * Format a token count
+ * @param {number} tokens - Token count
+ * @returns {string} e.g. "950", "12.3k", "1.2M"
+ */
+function formatTokens(tokens) {
+  if (tokens >= 1e6) {
+    return `${(tokens / 1e6).toFixed(1)}M`;
+  }
+  return tokens >= 1e3 ? `${(tokens / 1e3).toFixed(1)}k` : String(tokens);
+}
+
+/**
+ * Format usage for logs and reports
+ * Input tokens include the cached ones, which are billed at a different rate.
+ * @param {Object} usage - Usage from extractUsage() or addUsage()
+ * @returns {string} e.g. "48.1k in (40.2k cached) / 3.2k out tokens, 12 turn(s), $0.42"
+ */
+export function formatUsage(usage) {
+  if (!usage) {
+    return 'not reported';
+  }
+
+  const cached = usage.cacheCreationTokens + usage.cacheReadTokens;
+  const input = `${formatTokens(usage.inputTokens + cached)} in${cached > 0 ? ` (${formatTokens(cached)} cached)` : ''}`;
+  return `${input} / ${formatTokens(usage.outputTokens)} out tokens, ${usage.turns} turn(s), ${formatCost(usage.costUsd)}`;
+}
+
+/**
+ * Create the usage ledger of a run
+ * Every agent run's usage is recorded per task and for the run. The limits
+ * are checked before a task starts and before each further agent run of a
+ * task (fix-it round or retry); an agent whose profile can cap its own spend
+ * gets the remaining budget (see remaining()). The executor records the usage
+ * of the run's earlier invocations first, so --resume does not start from zero.
+ * @param {Object} [limits] - Cost limits in US dollars; 0 disables a limit
+ * @param {number} [limits.maxCostPerTask] - Spend after which a task gets no further agent runs (fix-it rounds, retries)
+ * @param {number} [limits.maxCostPerRun] - Spend after which no further agent runs start
+ * @returns {Object} Ledger {record(taskName, usage), taskUsage(taskName), total(), exhausted(taskName), remaining(taskName), runExhausted()}
+ */
+export function createUsageLedger({ maxCostPerTask = 0, maxCostPerRun = 0 } = {}) {
+  const tasks = new Map();
+  let run = null;
+
+  const runExhausted = () => maxCostPerRun > 0 && (run?.costUsd || 0) >= maxCostPerRun;
+
+  return {
+    /**
+     * Record the usage of one agent run
+     * @param {string} taskName - Task name
+     * @param {Object} usage - Usage from extractUsage(), or null
+     */
+    record(taskName, usage) {
+      if (!usage) {
+        return;
+      }
+      tasks.set(taskName, addUsage(tasks.get(taskName), usage));
+      run = addUsage(run, usage);
+    },
+
+    /**
+     * Get the usage of one task
+     * @param {string} taskName - Task name
+     * @returns {Object|null} Usage of all agent runs of the task
+     */
+    taskUsage(taskName) {
+      return tasks.get(taskName) || null;
+    },
+
+    /**
+     * Get the usage of the whole run
+     * @returns {Object|null} Usage of all agent runs of the run
+     */
+    total() {
+      return run;
+    },
+
+    /**
+     * Check whether a task may start another agent run
+     * @param {string} taskName - Task name
+     * @returns {string|null} Why it may not (e.g. "run budget of $20.00 exhausted"), or null
+     */
+    exhausted(taskName) {
+      if (runExhausted()) {
+        return `run budget of ${formatCost(maxCostPerRun)} exhausted (${formatCost(run.costUsd)} spent)`;
+      }
+      const taskCost = tasks.get(taskName)?.costUsd || 0;
+      if (maxCostPerTask > 0 && taskCost >= maxCostPerTask) {
+        return `task budget of ${formatCost(maxCostPerTask)} exhausted (${formatCost(taskCost)} spent)`;
+      }
+      return null;
+    },
+
+    /**
+     * Get how much the next agent run of a task may spend
+     * @param {string} taskName - Task name
+     * @returns {number|null} US dollars left under the tighter limit, or null without limits
+     */
+    remaining(taskName) {
+      const left = [
+        maxCostPerTask > 0 ? maxCostPerTask - (tasks.get(taskName)?.costUsd || 0) : null,
+        maxCostPerRun > 0 ? maxCostPerRun - (run?.costUsd || 0) : null,
+      ].filter(value => value !== null);
+      return left.length > 0 ? Math.max(0, Math.min(...left)) : null;
+    },
+
+    runExhausted,
+  };
+}
@@ -40,6 +40,21 @@ export function formatDuration(durationSeconds) {
   }
 }
 
+/**
+ * Format a size in human readable units
+ * @param {number} kilobytes - Size in kilobytes
+ * @returns {string} Formatted size
+ */
+export function formatSize(kilobytes) {
+  if (kilobytes >= 1024 * 1024) {
+    return `${(kilobytes / (1024 * 1024)).toFixed(1)} GB`;
+  } else if (kilobytes >= 1024) {
+    return `${(kilobytes / 1024).toFixed(1)} MB`;
+  } else {
+    return `${kilobytes} KB`;
+  }
+}
+
 /**
  * Print section header
  * @param {string} title - Section title
@@ -61,31 +76,76 @@ export function printUsage() {
   console.log('🤖 CLAUDE MULTI-REPO AGENT (Zx Edition)');
   console.log('═══════════════════════════════════════════════════════════════════════════════════');
   console.log('');
-  console.log('📋 Usage: zx gen-and-run-tasks.mjs --bundle BUNDLE_PATH [OPTIONS]');
+  console.log('📋 Usage: zx gen-and-run-tasks.mjs [COMMAND] --bundle BUNDLE_PATH [OPTIONS]');
   console.log('   or:    npm start -- --bundle BUNDLE_PATH [OPTIONS]');
   console.log('');
+  console.log('🧰 Commands:');
+  console.log('  (none)               Generate and run the bundle\'s tasks');
+  console.log('  validate             Check target.yml, config.json, task and guide files; exit 1 on errors');
+  console.log('  init PATH            Scaffold a new bundle directory with commented templates');
+  console.log('  clean                Remove task worktrees and feature branches, gc and report workspace disk usage');
+  console.log('  status               Show PR state, review decision, CI checks and mergeability of the bundle\'s tasks');
+  console.log('  history              List the bundle\'s past runs with pass/fail counts');
+  console.log('  diff-runs [A] [B]    Show tasks whose outcome changed between two runs (default: previous and latest)');
+  console.log('');
   console.log('⚙️  Required:');
   console.log('  📦 --bundle PATH       Bundle directory containing target.yml and task.md (REQUIRED)');
   console.log('');
   console.log('⚙️  Optional:');
   console.log('  📝 --guide-file FILE   Specify custom guide file (default: GUIDE.md or from config)');
   console.log('  📝 --generate-only     Only generate task files, don\'t run them');
-  console.log('  ▶️  --run-only         Only run existing task files (skip generation)');
+  console.log('  ▶️  --run-only         Only run the latest run\'s task files (skip generation)');
   console.log('  ⚙️  --max-jobs NUM     Concurrency limit (default: 4, use 1 for sequential execution)');
+  console.log('  🔁 --retry-failed     Re-run only the tasks that failed in the last run (skips generation)');
+  console.log('  ⏯️  --resume           Run tasks that never started or were interrupted (skips generation)');
+  console.log('  🗺️  --plan             Preflight: check repos, branches and forks, print the task matrix; writes nothing');
+  console.log('  🔁 --max-retries NUM  Automatic retries for transient agent failures (default: 0)');
+  console.log('  ⏳ --retry-delay SEC  Base retry backoff in seconds, doubled per retry (default: 30)');
+  console.log('  ⏰ --task-timeout SEC Kill a task (agent, verification, fix-it rounds) that runs longer than SEC seconds (default: no timeout)');
+  console.log('  🧪 --verify-rounds N  Fix-it rounds after a failed verification of the config "verify" commands (default: 2)');
+  console.log('  💸 --max-cost-per-task USD  Cap the spend of a task across its agent sessions, fix-it rounds and retries');
+  console.log('  💸 --max-cost-per-run USD   Skip the remaining tasks once the run cost this much (default: no limits)');
+  console.log('  🤖 --agent NAME       Agent profile to run (built-in: claude, mock; or from config "agents")');
+  console.log('  📥 --clone-strategy S How new clones are made: full, blobless or reference (default: full)');
+  console.log('  🔄 --fetch-scope S    Fetch all branches or only the target branches: all, targets (default: all)');
   console.log('  ❓ --help, -h          Show this help message');
   console.log('');
+  console.log('🧹 clean options:');
+  console.log('  --merged-only         Only delete feature branches already merged upstream');
+  console.log('  --remove-unreferenced Remove workspace repos that no bundle references');
+  console.log('  --bundles-dir DIR     Bundles that count as references (default: bundles)');
+  console.log('  --force               Also remove task worktrees with uncommitted changes and unreferenced repos with unpushed branches');
+  console.log('  --bundle DIR          Only clean the repos, worktrees and branches of this bundle');
+  console.log('  --dry-run             Show what would be cleaned without changing anything');
+  console.log('');
+  console.log('🔀 status, history and diff-runs options:');
+  console.log('  --json                Print the result as JSON');
+  console.log('  --needs-attention     Only show open PRs with failing checks or requested changes');
+  console.log('');
   console.log('📦 Bundle structure:');
   console.log('  bundles/my-task/');
   console.log('  ├── target.yml         Repository and branch configuration (REQUIRED)');
   console.log('  ├── task.md            Task description and requirements (REQUIRED)');
   console.log('  ├── GUIDE.md           Bundle-specific workflow instructions (optional)');
-  console.log('  └── config.json        Bundle-specific configuration (optional)');
+  console.log('  ├── config.json        Bundle-specific configuration (optional)');
+  console.log('  └── hooks/             preGenerate, preTask, postTask and postRun scripts (optional)');
   console.log('');
   console.log('💡 Examples:');
   console.log('  zx gen-and-run-tasks.mjs --bundle bundles/upgrade-deps');
   console.log('  npm start -- --bundle bundles/security-patch --max-jobs 8');
   console.log('  zx gen-and-run-tasks.mjs --bundle bundles/docs-sync --generate-only');
   console.log('  zx gen-and-run-tasks.mjs --bundle bundles/my-task --max-jobs 1  # Sequential');
+  console.log('  zx gen-and-run-tasks.mjs --bundle bundles/my-task --retry-failed');
+  console.log('  zx gen-and-run-tasks.mjs --bundle bundles/my-task --plan');
+  console.log('  zx gen-and-run-tasks.mjs --bundle bundles/my-task --agent mock  # Offline rehearsal');
+  console.log('  zx gen-and-run-tasks.mjs --bundle bundles/my-task --clone-strategy blobless --fetch-scope targets');
+  console.log('  zx gen-and-run-tasks.mjs --bundle bundles/org-wide --max-cost-per-run 25');
+  console.log('  zx gen-and-run-tasks.mjs init bundles/new-task');
+  console.log('  zx gen-and-run-tasks.mjs validate --bundle bundles/new-task');
+  console.log('  zx gen-and-run-tasks.mjs clean --merged-only --dry-run');
+  console.log('  zx gen-and-run-tasks.mjs status --bundle bundles/my-task --needs-attention');
+  console.log('  zx gen-and-run-tasks.mjs history --bundle bundles/my-task');
+  console.log('  zx gen-and-run-tasks.mjs diff-runs --bundle bundles/my-task');
   console.log('');
   console.log('🔄 Priority: Command line options > Bundle config > Defaults');
   console.log('🎯 Default behavior: Generate and run tasks with concurrency limit of 4');
@@ -102,11 +162,32 @@ export function printUsage() {
  */
 export function parseArguments(argv) {
   const options = {
+    command: argv._?.[0],
+    args: (argv._ || []).slice(1).map(String),
     bundle: argv.bundle,
     guideFile: argv['guide-file'],
     generateOnly: argv['generate-only'],
     runOnly: argv['run-only'],
     maxJobs: argv['max-jobs'] ? parseInt(argv['max-jobs']) : undefined,
+    retryFailed: argv['retry-failed'],
+    resume: argv.resume,
+    plan: argv.plan,
+    agent: argv.agent,
+    mergedOnly: argv['merged-only'],
+    removeUnreferenced: argv['remove-unreferenced'],
+    bundlesDir: argv['bundles-dir'],
+    force: argv.force,
+    dryRun: argv['dry-run'],
+    json: argv.json,
+    needsAttention: argv['needs-attention'],
+    maxRetries: argv['max-retries'] !== undefined ? parseInt(argv['max-retries']) : undefined,
+    retryDelay: argv['retry-delay'] !== undefined ? Number(argv['retry-delay']) : undefined,
+    taskTimeout: argv['task-timeout'] !== undefined ? Number(argv['task-timeout']) : undefined,
+    verifyRounds: argv['verify-rounds'] !== undefined ? parseInt(argv['verify-rounds']) : undefined,
+    maxCostPerTask: argv['max-cost-per-task'] !== undefined ? Number(argv['max-cost-per-task']) : undefined,
+    maxCostPerRun: argv['max-cost-per-run'] !== undefined ? Number(argv['max-cost-per-run']) : undefined,
+    cloneStrategy: argv['clone-strategy'],
+    fetchScope: argv['fetch-scope'],
     help: argv.help || argv.h,
   };
 
@@ -0,0 +1,481 @@
+#!/usr/bin/env zx
+
+import { fs, path, chalk } from 'zx';
+import YAML from 'yaml';
+import { CONFIG_SCHEMA, DEPRECATED_CONFIG_KEYS, loadConfig, validateConfig } from './config.mjs';
+import { BUILTIN_VARIABLES, listTemplateVariables, validateVariables } from './template.mjs';
+import { isBranchPattern, matchBranchPattern } from './taskgen.mjs';
+import { validateAgentProfile } from './agent.mjs';
+import { resolveProviderSpec } from './providers.mjs';
+import { listPullRequestTemplates, loadPullRequestTemplates, validatePullRequestConfig } from './publish.mjs';
+import { validateBackportConfig } from './backport.mjs';
+
+/**
+ * Keys accepted at each level of target.yml
+ */
+const TARGET_SCHEMA = {
+  item: ['org', 'provider', 'host', 'repos', 'discover', 'branches', 'vars', 'task', 'guide', 'exclude'],
+  repo: ['name', 'vars', 'task', 'guide', 'exclude'],
+  branch: ['name', 'pattern', 'latest', 'vars'],
+  discover: ['topic', 'language', 'includeArchived', 'includeForks', 'contains', 'limit'],
+  contains: ['file', 'pattern'],
+  exclude: ['repo', 'branch'],
+};
+
+/**
+ * Compute the edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Levenshtein distance
+ */
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = previous[j];
+      const cost = a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1;
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + cost);
+      diagonal = current;
+    }
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Suggest the known key closest to a misspelled one
+ * @param {string} key - Unknown key
+ * @param {string[]} knownKeys - Accepted keys
+ * @returns {string|null} Closest known key, or null if none is close enough
+ */
+export function suggestKey(key, knownKeys) {
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const known of knownKeys) {
+    const distance = editDistance(key, known);
+    if (distance < bestDistance) {
+      best = known;
+      bestDistance = distance;
+    }
+  }
+
+  return bestDistance <= Math.max(2, Math.floor(key.length / 3)) ? best : null;
+}
+
+/**
+ * Check a value against a schema type
+ * @param {*} value - Value to check
+ * @param {string|string[]} type - Schema type (integer, number, boolean, string, object, array), or a list of accepted types
+ * @returns {boolean} True if the value has the type
+ */
+function hasType(value, type) {
+  if (Array.isArray(type)) {
+    return type.some(option => hasType(value, option));
+  }
+
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && !Number.isNaN(value);
+    case 'object':
+      return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Create an empty validation report
+ * @returns {Object} Report {errors, warnings, error(msg), warn(msg)}
+ */
+function createReport() {
+  const report = { errors: [], warnings: [] };
+  report.error = message => report.errors.push(message);
+  report.warn = message => report.warnings.push(message);
+  return report;
+}
+
+/**
+ * Report keys of an object that are not in the accepted list
+ * @param {Object} object - Object to check
+ * @param {string[]} allowedKeys - Accepted keys
+ * @param {string} where - Location used in messages
+ * @param {Object} report - Validation report
+ */
+function checkUnknownKeys(object, allowedKeys, where, report) {
+  for (const key of Object.keys(object)) {
+    if (!allowedKeys.includes(key)) {
+      const suggestion = suggestKey(key, allowedKeys);
+      report.error(`${where}: unknown key "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+    }
+  }
+}
+
+/**
+ * Validate a bundle config.json
+ * @param {string} configPath - Path to config.json
+ * @param {Object} report - Validation report
+ * @returns {Object} Parsed config (empty if missing or invalid)
+ */
+async function validateConfigFile(configPath, report) {
+  if (!(await fs.pathExists(configPath))) {
+    return {};
+  }
+
+  let config;
+  try {
+    config = JSON.parse(await fs.readFile(configPath, 'utf-8'));
+  } catch (error) {
+    report.error(`${configPath}: invalid JSON (${error.message})`);
+    return {};
+  }
+
+  if (!hasType(config, 'object')) {
+    report.error(`${configPath}: must contain a JSON object`);
+    return {};
+  }
+
+  const knownKeys = Object.keys(CONFIG_SCHEMA);
+  for (const [key, value] of Object.entries(config)) {
+    if (DEPRECATED_CONFIG_KEYS[key]) {
+      report.warn(`${configPath}: "${key}" is ignored, ${DEPRECATED_CONFIG_KEYS[key]}`);
+    } else if (!CONFIG_SCHEMA[key]) {
+      const suggestion = suggestKey(key, knownKeys);
+      report.error(`${configPath}: unknown key "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+    } else if (!hasType(value, CONFIG_SCHEMA[key].type)) {
+      report.error(`${configPath}: "${key}" must be of type ${[].concat(CONFIG_SCHEMA[key].type).join(' or ')} (got ${JSON.stringify(value)})`);
+    } else if (key === 'vars') {
+      try {
+        validateVariables(value, configPath);
+      } catch (error) {
+        report.error(error.message);
+      }
+    } else if (key === 'agents' || (key === 'agent' && typeof value === 'object')) {
+      const profiles = key === 'agents' ? Object.entries(value) : [['agent', value]];
+      for (const [name, profile] of profiles) {
+        try {
+          validateAgentProfile(profile, `${configPath}: ${key === 'agents' ? `agents.${name}` : 'agent'}`);
+        } catch (error) {
+          report.error(error.message);
+        }
+      }
+    } else if (key === 'pr' || key === 'backport') {
+      try {
+        (key === 'pr' ? validatePullRequestConfig : validateBackportConfig)(value, `${configPath}: ${key}`);
+      } catch (error) {
+        report.error(error.message);
+      }
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Validate a repo or branch entry of a target item
+ * @param {*} entry - Entry from target.yml
+ * @param {string} kind - "repo" or "branch"
+ * @param {string} where - Location used in messages
+ * @param {Object} report - Validation report
+ */
+function validateTargetEntry(entry, kind, where, report) {
+  if (typeof entry === 'string') {
+    if (kind === 'branch' && isBranchPattern(entry)) {
+      validateBranchPattern({ pattern: entry }, where, report);
+    }
+    return;
+  }
+
+  if (!hasType(entry, 'object')) {
+    report.error(`${where}: ${kind} entry must be a name or an object (got ${JSON.stringify(entry)})`);
+    return;
+  }
+
+  checkUnknownKeys(entry, TARGET_SCHEMA[kind], where, report);
+
+  if (kind === 'branch' && entry.pattern) {
+    if (entry.name) {
+      report.error(`${where}: use either "name" or "pattern", not both`);
+    }
+    validateBranchPattern(entry, where, report);
+  } else if (!entry.name) {
+    report.error(`${where}: ${kind} entry is missing "name"`);
+  }
+
+  if (entry.vars !== undefined) {
+    try {
+      validateVariables(entry.vars, where);
+    } catch (error) {
+      report.error(error.message);
+    }
+  }
+
+  if (kind === 'repo' && entry.exclude !== undefined && !hasType(entry.exclude, 'array')) {
+    report.error(`${where}: "exclude" must be a list of branch names`);
+  }
+}
+
+/**
+ * Validate a branch pattern
+ * @param {Object} spec - Pattern {pattern, latest}
+ * @param {string} where - Location used in messages
+ * @param {Object} report - Validation report
+ */
+function validateBranchPattern(spec, where, report) {
+  if (spec.latest !== undefined && (!Number.isInteger(spec.latest) || spec.latest < 1)) {
+    report.error(`${where}: "latest" must be a positive integer`);
+  }
+
+  try {
+    matchBranchPattern([], { pattern: String(spec.pattern) });
+  } catch (error) {
+    report.error(`${where}: invalid branch pattern ${spec.pattern} (${error.message})`);
+  }
+}
+
+/**
+ * Validate a bundle's target.yml, task and guide files
+ * @param {Object} files - Bundle files {bundlePath, targetFile, taskFile, guideFile}
+ * @param {Object} config - Bundle config (for template variables)
+ * @param {Object} report - Validation report
+ * @param {Array} prTemplates - Pull request templates [{text, source}] checked like the task file
+ */
+async function validateTargetFile({ bundlePath, targetFile, taskFile, guideFile }, config, report, prTemplates = []) {
+  if (!(await fs.pathExists(targetFile))) {
+    report.error(`${targetFile}: not found`);
+    return;
+  }
+
+  let data;
+  try {
+    data = YAML.parse(await fs.readFile(targetFile, 'utf-8'));
+  } catch (error) {
+    report.error(`${targetFile}: invalid YAML (${error.message})`);
+    return;
+  }
+
+  if (!hasType(data, 'object') || !hasType(data.target, 'array')) {
+    report.error(`${targetFile}: missing or invalid "target" list`);
+    return;
+  }
+  checkUnknownKeys(data, ['target'], targetFile, report);
+
+  const templateCache = new Map();
+  const readTemplateVariables = async (file) => {
+    if (!templateCache.has(file)) {
+      templateCache.set(file, (await fs.pathExists(file)) ? listTemplateVariables(await fs.readFile(file, 'utf-8')) : null);
+    }
+    return templateCache.get(file);
+  };
+  const reportedUndefined = new Set();
+
+  for (const [index, item] of data.target.entries()) {
+    const where = `${targetFile}: target[${index}]${item?.org ? ` (${item.org})` : ''}`;
+
+    if (!hasType(item, 'object')) {
+      report.error(`${where}: must be an object`);
+      continue;
+    }
+
+    checkUnknownKeys(item, TARGET_SCHEMA.item, where, report);
+
+    if (!item.org) {
+      report.error(`${where}: missing "org"`);
+    }
+    try {
+      resolveProviderSpec({ type: item.provider, host: item.host });
+    } catch (error) {
+      report.error(`${where}: ${error.message}`);
+    }
+    if (!item.repos && !item.discover) {
+      report.error(`${where}: needs "repos" or "discover"`);
+    }
+    if (item.repos && item.discover) {
+      report.error(`${where}: use either "repos" or "discover", not both`);
+    }
+    if (!hasType(item.branches, 'array') || item.branches.length === 0) {
+      report.error(`${where}: "branches" must be a non-empty list`);
+    }
+    if (item.repos !== undefined && !hasType(item.repos, 'array')) {
+      report.error(`${where}: "repos" must be a list`);
+    }
+
+    if (item.discover !== undefined) {
+      if (!hasType(item.discover, 'object')) {
+        report.error(`${where}: "discover" must be an object`);
+      } else {
+        checkUnknownKeys(item.discover, TARGET_SCHEMA.discover, `${where} discover`, report);
+        const checks = item.discover.contains === undefined ? [] : [].concat(item.discover.contains);
+        for (const check of checks) {
+          if (!hasType(check, 'object') || !check.file) {
+            report.error(`${where} discover: "contains" entries need a "file"`);
+          } else {
+            checkUnknownKeys(check, TARGET_SCHEMA.contains, `${where} discover.contains`, report);
+          }
+        }
+      }
+    }
+
+    if (item.vars !== undefined) {
+      try {
+        validateVariables(item.vars, where);
+      } catch (error) {
+        report.error(error.message);
+      }
+    }
+
+    if (item.exclude !== undefined) {
+      if (!hasType(item.exclude, 'array')) {
+        report.error(`${where}: "exclude" must be a list`);
+      } else {
+        for (const rule of item.exclude) {
+          if (hasType(rule, 'object')) {
+            checkUnknownKeys(rule, TARGET_SCHEMA.exclude, `${where} exclude`, report);
+          } else if (typeof rule !== 'string') {
+            report.error(`${where}: exclude rules must be "repo@branch" strings or {repo, branch} objects`);
+          }
+        }
+      }
+    }
+
+    const repos = hasType(item.repos, 'array') ? item.repos : [{ name: '(discovered)' }];
+    const branches = hasType(item.branches, 'array') ? item.branches : [];
+    repos.forEach((entry, repoIndex) => validateTargetEntry(entry, 'repo', `${where} repos[${repoIndex}]`, report));
+    branches.forEach((entry, branchIndex) => validateTargetEntry(entry, 'branch', `${where} branches[${branchIndex}]`, report));
+
+    // Task/guide files and the template variables each combination can see
+    for (const repo of repos) {
+      const repoSpec = hasType(repo, 'object') ? repo : {};
+      const files = {
+        task: repoSpec.task || item.task ? path.join(bundlePath, repoSpec.task || item.task) : taskFile,
+        guide: repoSpec.guide || item.guide ? path.join(bundlePath, repoSpec.guide || item.guide) : guideFile,
+      };
+
+      for (const branch of branches) {
+        const branchSpec = hasType(branch, 'object') ? branch : {};
+        const defined = [
+          ...BUILTIN_VARIABLES,
+          ...Object.keys(config.vars || {}),
+          ...Object.keys(item.vars || {}),
+          ...Object.keys(branchSpec.vars || {}),
+          ...Object.keys(repoSpec.vars || {}),
+        ];
+
+        for (const file of Object.values(files)) {
+          const used = await readTemplateVariables(file);
+          if (used === null) {
+            if (!reportedUndefined.has(file)) {
+              reportedUndefined.add(file);
+              report.error(`${file}: not found (referenced by ${where})`);
+            }
+            continue;
+          }
+          for (const name of used.filter(variable => !defined.includes(variable))) {
+            const key = `${file}:${name}`;
+            if (!reportedUndefined.has(key)) {
+              reportedUndefined.add(key);
+              report.error(`${file}: undefined template variable {{${name}}} (used for ${where})`);
+            }
+          }
+        }
+
+        for (const { text, source } of prTemplates) {
+          for (const name of listTemplateVariables(text).filter(variable => !defined.includes(variable))) {
+            const key = `${source}:${name}`;
+            if (!reportedUndefined.has(key)) {
+              reportedUndefined.add(key);
+              report.error(`${source}: undefined template variable {{${name}}} (used for ${where})`);
+            }
+          }
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Validate a bundle: config.json and target.yml against their schemas, and
+ * the task and guide files they reference
+ * @param {string} bundlePath - Bundle directory
+ * @param {Object} cliOptions - Command line options (for --guide-file and --agent)
+ * @returns {Object} Report {errors, warnings}
+ */
+export async function validateBundle(bundlePath, cliOptions = {}) {
+  const report = createReport();
+
+  if (!bundlePath) {
+    report.error('Bundle path is required (--bundle PATH)');
+    return report;
+  }
+  if (!(await fs.pathExists(bundlePath))) {
+    report.error(`Bundle directory '${bundlePath}' not found`);
+    return report;
+  }
+
+  const configPath = path.join(bundlePath, 'config.json');
+  const bundleConfig = await validateConfigFile(configPath, report);
+
+  const config = { ...(await loadConfig({}, null)), ...bundleConfig };
+  if (cliOptions.guideFile) {
+    config.guideFile = cliOptions.guideFile;
+  }
+  if (cliOptions.agent) {
+    config.agent = cliOptions.agent;
+  }
+  if (report.errors.length === 0) {
+    try {
+      validateConfig(config);
+    } catch (error) {
+      report.error(`${configPath}: ${error.message}`);
+    }
+  }
+
+  const taskFile = path.join(bundlePath, 'task.md');
+  const bundleGuide = path.join(bundlePath, 'GUIDE.md');
+  const guideFile = (await fs.pathExists(bundleGuide)) ? bundleGuide : config.guideFile;
+
+  if (!(await fs.pathExists(taskFile))) {
+    report.error(`${taskFile}: not found`);
+  }
+  if (!(await fs.pathExists(guideFile))) {
+    report.error(`${guideFile}: guide file not found`);
+  }
+
+  let prTemplates = [];
+  if (config.pr && report.errors.length === 0) {
+    try {
+      prTemplates = listPullRequestTemplates(await loadPullRequestTemplates(config.pr, bundlePath));
+    } catch (error) {
+      report.error(error.message);
+    }
+  }
+
+  await validateTargetFile({
+    bundlePath,
+    targetFile: path.join(bundlePath, 'target.yml'),
+    taskFile,
+    guideFile,
+  }, config, report, prTemplates);
+
+  return { errors: report.errors, warnings: report.warnings };
+}
+
+/**
+ * Print a validation report
+ * @param {Object} report - Report {errors, warnings}
+ */
+export function printValidationReport({ errors, warnings }) {
+  for (const warning of warnings) {
+    console.log(`${chalk.yellow('⚠️  Warning:')} ${warning}`);
+  }
+  for (const error of errors) {
+    console.log(`${chalk.red('❌ Error:')} ${error}`);
+  }
+}
@@ -0,0 +1,107 @@
+#!/usr/bin/env zx
+
+import { $, fs, path } from 'zx';
+
+/**
+ * Number of output lines kept from a failing verification command
+ */
+const OUTPUT_TAIL_LINES = 50;
+
+/**
+ * Run shell commands in a directory, stopping at the first failure
+ * Each command runs with `sh -c`; its output is appended to the log file
+ * after a `$ command` line. With a supervise function (see the executor's
+ * superviseProcess()), each process can be terminated by a shutdown request
+ * or a deadline; a terminated command fails and the remaining ones are skipped.
+ * @param {string} cwd - Directory to run the commands in
+ * @param {string[]} commands - Shell commands
+ * @param {string} logFile - Log file for the command output
+ * @param {Object} [options] - Run options
+ * @param {Object} [options.env] - Extra environment variables
+ * @param {string} [options.label] - Printed before each command (default: 🧪)
+ * @param {Function} [options.supervise] - Waits for a running process: (processPromise) => {output, timedOut, interrupted}
+ * @returns {Object} Result {pass, command, exitCode, output, timedOut, interrupted}; command, exitCode and output (tail) describe the failure
+ */
+export async function runShellCommands(cwd, commands, logFile, { env = {}, label = '🧪', supervise = null } = {}) {
+  await fs.ensureDir(path.dirname(logFile));
+
+  for (const command of commands) {
+    console.log(`   ${label} ${command}`);
+    await fs.appendFile(logFile, `$ ${command}\n`, 'utf-8');
+
+    const processPromise = $({ cwd, env: { ...process.env, ...env } })`sh -c ${command} 2>&1`.nothrow();
+    const { output: result, timedOut = false, interrupted = false } = supervise
+      ? await supervise(processPromise)
+      : { output: await processPromise };
+    const terminated = timedOut ? ' (timed out)' : interrupted ? ' (terminated by shutdown request)' : '';
+    await fs.appendFile(logFile, `${result.stdout}[exit ${result.exitCode}]${terminated}\n\n`, 'utf-8');
+
+    if (result.exitCode !== 0 || timedOut || interrupted) {
+      return {
+        pass: false,
+        command,
+        exitCode: result.exitCode,
+        output: result.stdout.trimEnd().split('\n').slice(-OUTPUT_TAIL_LINES).join('\n'),
+        timedOut,
+        interrupted,
+      };
+    }
+  }
+
+  return { pass: true, command: null, exitCode: 0, output: '', timedOut: false, interrupted: false };
+}
+
+/**
+ * Run verification commands in a worktree, stopping at the first failure
+ * The log file is started afresh; see runShellCommands().
+ * @param {string} repoCodePath - Worktree path
+ * @param {string[]} commands - Shell commands
+ * @param {string} logFile - Log file for the command output
+ * @param {Object} [options] - Run options
+ * @param {Function} [options.supervise] - Waits for a running process, see runShellCommands()
+ * @returns {Object} Verification {pass, command, exitCode, output, timedOut, interrupted}; command, exitCode and output (tail) describe the failure
+ */
+export async function runVerification(repoCodePath, commands, logFile, { supervise = null } = {}) {
+  await fs.ensureDir(path.dirname(logFile));
+  await fs.writeFile(logFile, '', 'utf-8');
+
+  const verification = await runShellCommands(repoCodePath, commands, logFile, { supervise });
+  if (verification.timedOut) {
+    console.log(`   ⏰ Verification timed out: ${verification.command}`);
+  } else if (!verification.pass) {
+    console.log(`   ❌ Verification failed: ${verification.command} (exit ${verification.exitCode})`);
+  }
+  return verification;
+}
+
+/**
+ * Write the prompt of a fix-it round after verification failed
+ * The prompt is the task file followed by a section with the failing command
+ * and the tail of its output, so the agent (which starts without the earlier
+ * conversation) knows both the task and what to fix.
+ * @param {string} taskFile - Path to task.md
+ * @param {string} promptFile - Path of the prompt file to write
+ * @param {Object} verification - Failed verification from runVerification()
+ * @param {Object} details - Round details
+ * @param {number} details.round - Fix-it round (1 for the first follow-up)
+ * @param {string[]} details.commands - All verification commands
+ * @param {string} details.verifyLog - Log file with the full verification output
+ * @returns {string} Path to the prompt file
+ */
+export async function writeVerifyFixPrompt(taskFile, promptFile, verification, { round, commands, verifyLog }) {
+  const task = await fs.readFile(taskFile, 'utf-8');
+  const commandList = commands.map(command => `- \`${command}\``).join('\n');
+
+  await fs.writeFile(promptFile, `${task.trimEnd()}
+
+## Verification Failed (fix-it round ${round})
+You already worked on this task in this worktree. Afterwards the orchestrator ran the verification commands below, and \`${verification.command}\` failed (exit ${verification.exitCode}). The task only passes once every command passes. Keep your earlier commits, fix the failure with additional commits on the same branch, and report again as described above. The full output is in \`${path.basename(verifyLog)}\` in the task directory.
+
+${commandList}
+
+\`\`\`
+${(verification.output || '(no output)').replace(/```/g, "'''")}
+\`\`\`
+`, 'utf-8');
+  return promptFile;
+}